@@ -20,6 +20,10 @@ define(["inst", "utils"], function (inst, utils) {
         // Map from istore address to comment.
         this.comments = {};
 
+        // Map from istore address to the token of the source code that the
+        // instruction checks, for the locations of runtime errors.
+        this.tokens = {};
+
         // Native methods.
         this.native = native;
     };
@@ -49,6 +53,11 @@ define(["inst", "utils"], function (inst, utils) {
         return address;
     };
 
+    // Replace the typed constant at the address.
+    Bytecode.prototype.setTypedConstant = function (address, value) {
+        this.typedConstants[address] = value;
+    };
+
     // Add an opcode to the istore.
     Bytecode.prototype.add = function (opcode, operand1, operand2, comment) {
         var i = inst.make(opcode, operand1, operand2);
@@ -71,6 +80,11 @@ define(["inst", "utils"], function (inst, utils) {
         return this.istore.length;
     };
 
+    // Set the source code token of the instruction at the address.
+    Bytecode.prototype.setToken = function (address, token) {
+        this.tokens[address] = token;
+    };
+
     // Return a printable version of the bytecode object.
     Bytecode.prototype.print = function () {
         return this._printConstants() + "\n" + this._printIstore();
@@ -5,6 +5,20 @@
 define(["Bytecode", "Node", "inst", "PascalError"],
        function (Bytecode, Node, inst, PascalError) {
 
+    // Largest jump table we'll generate for a case statement. Labels that span a
+    // wider range are tested one at a time instead.
+    var MAX_JUMP_TABLE_SIZE = 256;
+
+    // Runtime errors of failed checks. Range checking is turned on with {$R+} and
+    // overflow checking with {$Q+}.
+    var RANGE_CHECK_ERROR = 201;
+    var OVERFLOW_ERROR = 215;
+
+    // Returns whether the switch (a lowercase letter) was on at the token.
+    var isSwitchOn = function (token, letter) {
+        return token !== null && token.switches !== null && token.switches[letter];
+    };
+
     var Compiler = function () {
         // This is a stack of lists of addresses of unconditional jumps (UJP) instructions
         // that should go to the end of the function/procedure in an Exit statement.
@@ -12,15 +26,64 @@ define(["Bytecode", "Node", "inst", "PascalError"],
         // The inner list is an unordered list of addresses to update when we get to
         // the end of the function/procedure and know its last address.
         this.exitInstructions = [];
+
+        // Stack of loops being compiled, innermost last. Each has the addresses of
+        // the unconditional jumps (UJP) of its break ("breakInstructions") and
+        // continue ("continueInstructions") statements, to update once we know
+        // where the loop's end and next iteration are.
+        this.loopFrames = [];
+
+        // List of calls (CUP) to procedures and functions declared "forward" whose
+        // bodies hadn't been compiled yet. Each element has the "address" of the
+        // instruction and the "symbol" of the procedure or function.
+        this.forwardCalls = [];
+
+        // List of goto instructions (UJP) to fix up once every label has an address.
+        // Each element has the "address" of the instruction and the "label" symbol.
+        this.gotoInstructions = [];
+
+        // List of enumerated types whose names we've written to the typed constant
+        // area, so that they can be printed. Each element has the "type" and the
+        // "address" of the first name.
+        this.enumNames = [];
+
+        // List of object types whose VMT we've reserved room for in the typed
+        // constant area. Each element has the "type" and the "address" of its VMT.
+        // The addresses of the methods are filled in at the end.
+        this.vmts = [];
     };
 
     // Given a parse tree, return the bytecode object.
     Compiler.prototype.compile = function (root) {
         var bytecode = new Bytecode(root.symbolTable.native);
 
+        // Address zero is nil, the value of procedural variables that haven't been
+        // assigned, so no procedure or function can start there.
+        bytecode.add(inst.STP, 0, 0, "nil procedure");
+
         // Start at the root and recurse.
         this._generateBytecode(bytecode, root, null);
 
+        // Now that all procedures and functions have addresses, fix up the calls.
+        for (var i = 0; i < this.forwardCalls.length; i++) {
+            var forwardCall = this.forwardCalls[i];
+            bytecode.setOperand2(forwardCall.address, forwardCall.symbol.address);
+        }
+
+        // Now that all labels have addresses, fix up the gotos.
+        for (var i = 0; i < this.gotoInstructions.length; i++) {
+            var gotoInstruction = this.gotoInstructions[i];
+            bytecode.setOperand2(gotoInstruction.address, gotoInstruction.label.address);
+        }
+
+        // And fill in the VMTs with the addresses of the methods.
+        for (var i = 0; i < this.vmts.length; i++) {
+            var vmt = this.vmts[i];
+            for (var j = 0; j < vmt.type.vmt.length; j++) {
+                bytecode.setTypedConstant(vmt.address + j, vmt.type.vmt[j].symbol.address);
+            }
+        }
+
         // Generate top-level calling code.
         bytecode.setStartAddress();
         bytecode.add(inst.MST, 0, 0, "start of program -----------------");
@@ -36,7 +99,23 @@ define(["Bytecode", "Node", "inst", "PascalError"],
             case Node.IDENTIFIER:
                 var name = node.token.value;
                 var symbolLookup = node.symbolLookup;
-                if (symbolLookup.symbol.byReference) {
+                var type = symbolLookup.symbol.type;
+                if (symbolLookup.symbol.byReference && (type.nodeType === Node.ARRAY_TYPE ||
+                                                        type.nodeType === Node.RECORD_TYPE ||
+                                                        type.nodeType === Node.OBJECT_TYPE)) {
+
+                    // Structured value by reference, such as a const array being
+                    // passed by value. Push it a word at a time.
+                    var size = type.getTypeSize();
+                    for (var i = 0; i < size; i++) {
+                        bytecode.add(inst.LVA, symbolLookup.level,
+                                     symbolLookup.symbol.address, "address of " + name);
+                        var cindex = bytecode.addConstant(i);
+                        bytecode.add(inst.LDC, inst.I, cindex, "index " + i);
+                        bytecode.add(inst.ADI, 0, 0, "address of word " + i);
+                        bytecode.add(inst.LDI, inst.I, 0, "value of " + name + " at index " + i);
+                    }
+                } else if (symbolLookup.symbol.byReference) {
                     // Symbol is by reference. Must get its address first.
                     bytecode.add(inst.LVA, symbolLookup.level,
                                  symbolLookup.symbol.address, "address of " + name);
@@ -45,9 +124,12 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 } else {
                     // Here we could call _generateAddressBytecode() followed by an inst.LDI,
                     // but loading the value directly is more efficient.
-                    if (symbolLookup.symbol.type.nodeType === Node.SIMPLE_TYPE) {
+                    if (type.nodeType === Node.SIMPLE_TYPE || type.nodeType === Node.ENUM_TYPE ||
+                        type.nodeType === Node.SET_TYPE ||
+                        type.nodeType === Node.PROCEDURAL_TYPE) {
+
                         var opcode;
-                        switch (symbolLookup.symbol.type.typeCode) {
+                        switch (type.getSimpleTypeCode()) {
                             case inst.A:
                                 opcode = inst.LVA;
                                 break;
@@ -68,6 +150,9 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                                 // for loading a string. Re-use LVC.
                                 opcode = inst.LVC;
                                 break;
+                            case inst.T:
+                                opcode = inst.LVS;
+                                break;
                             default:
                                 throw new PascalError(node.token, "can't make code to get " +
                                                      symbolLookup.symbol.type.print());
@@ -111,6 +196,20 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 var v = node.token.value;
                 bytecode.add(inst.LDC, inst.B, node.getBoolean() ? 1 : 0, "boolean " + v);
                 break;
+            case Node.ROUTINE:
+                // Address of a procedure or function. It may not have one yet if it
+                // was declared forward, so we fix it up later like a call.
+                var symbol = node.name.symbolLookup.symbol;
+                var address = symbol.address;
+                if (address === -1) {
+                    this.forwardCalls.push({
+                        address: bytecode.getNextAddress(),
+                        symbol: symbol
+                    });
+                    address = 0;
+                }
+                bytecode.add(inst.LPA, 0, address, "address of " + node.name.print());
+                break;
             case Node.POINTER:
                 // This can only be nil.
                 var cindex = bytecode.addConstant(0);
@@ -125,15 +224,14 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 // Begin a new frame for exit statements.
                 this._beginExitFrame();
 
-                // Generate each procedure and function.
-                for (var i = 0; i < node.declarations.length; i++) {
-                    var declaration = node.declarations[i];
-                    if (declaration.nodeType === Node.PROCEDURE ||
-                        declaration.nodeType === Node.FUNCTION) {
-
-                        this._generateBytecode(bytecode, declaration, node.symbolTable);
+                // Generate each procedure and function, including those of the
+                // units used by the program.
+                if (node.nodeType === Node.PROGRAM) {
+                    for (var i = 0; i < node.units.length; i++) {
+                        this._generateSubprogramsBytecode(bytecode, node.units[i]);
                     }
                 }
+                this._generateSubprogramsBytecode(bytecode, node);
 
                 // Generate code for entry to block.
                 node.symbol.address = bytecode.getNextAddress();
@@ -141,14 +239,35 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     node.symbolTable.totalParameterSize;
                 bytecode.add(inst.ENT, 0, frameSize, "start of " + name + " -----------------");
 
-                // Generate code for typed constants.
-                for (var i = 0; i < node.declarations.length; i++) {
-                    var declaration = node.declarations[i];
-                    if (declaration.nodeType === Node.TYPED_CONST) {
-                        this._generateBytecode(bytecode, declaration, node.symbolTable);
+                // Open arrays passed by value are copied onto the stack, above the
+                // frame, so that they can be modified. Returning discards them.
+                var parameters = node.expressionType.parameters;
+                for (var i = 0; i < parameters.length; i++) {
+                    if (parameters[i].isCopied) {
+                        var parameterName = parameters[i].name.token.value;
+                        var symbol = node.symbolTable.getSymbol(parameters[i].name.token).symbol;
+                        bytecode.add(inst.LDA, 0, symbol.address,
+                                     "address of parameter " + parameterName);
+                        bytecode.add(inst.CPA, 0, parameters[i].type.elementType.getTypeSize(),
+                                     "copy open array " + parameterName);
+                    }
+                }
+
+                // The units' variables are in the program's frame, so we initialize
+                // them here, before the program's own code.
+                if (node.nodeType === Node.PROGRAM) {
+                    for (var i = 0; i < node.units.length; i++) {
+                        var unit = node.units[i];
+                        bytecode.addComment(bytecode.getNextAddress(),
+                                            "initialization of unit " + unit.name.token.value);
+                        this._generateTypedConstantsBytecode(bytecode, unit);
+                        this._generateBytecode(bytecode, unit.block, unit.symbolTable);
                     }
                 }
 
+                // Generate code for typed constants.
+                this._generateTypedConstantsBytecode(bytecode, node);
+
                 // Generate code for block.
                 this._generateBytecode(bytecode, node.block, node.symbolTable);
 
@@ -165,6 +284,8 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 }
                 break;
             case Node.USES:
+            case Node.LABEL:
+            case Node.FORWARD:
             case Node.VAR:
             case Node.PARAMETER:
             case Node.CONST:
@@ -183,12 +304,55 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 var toType = node.type;
                 if (fromType.isSimpleType(inst.I) && toType.isSimpleType(inst.R)) {
                     bytecode.add(inst.FLT, 0, 0, "cast to float");
+                } else if (fromType.isSimpleType(inst.I) && toType.isSimpleType(inst.I)) {
+                    // Narrowing, since widening needs no cast.
+                    if (isSwitchOn(node.token, "r")) {
+                        this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR,
+                                                    toType.low, toType.high, node.token);
+                    } else {
+                        this._generateWrapBytecode(bytecode, toType);
+                    }
+                } else if (fromType.isSimpleType(inst.C) && toType.isSimpleType(inst.C)) {
+                    // Narrowing to a subrange. Out-of-range characters are only
+                    // caught with range checking.
+                    if (isSwitchOn(node.token, "r")) {
+                        bytecode.add(inst.ORD, 0, 0, "ordinal value");
+                        this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR,
+                                                    toType.low, toType.high, node.token);
+                        bytecode.add(inst.CHR, 0, 0, "integer to char");
+                    }
+                } else if (fromType.nodeType === Node.ENUM_TYPE &&
+                           toType.nodeType === Node.ENUM_TYPE) {
+
+                    // Narrowing to a subrange, likewise.
+                    if (isSwitchOn(node.token, "r")) {
+                        this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR,
+                                                    toType.low, toType.high, node.token);
+                    }
+                } else if (fromType.nodeType === Node.ENUM_TYPE && toType.isSimpleType(inst.S)) {
+                    // Look up the value's name in the table of names.
+                    var namesAddress = this._getEnumNamesAddress(bytecode, fromType);
+                    var cindex = bytecode.addConstant(namesAddress);
+                    bytecode.add(inst.LDC, inst.A, cindex,
+                                 "address of names of " + fromType.print());
+                    bytecode.add(inst.IXA, 0, 1, "address of name");
+                    bytecode.add(inst.LDI, inst.S, 0, "name of enumerated value");
                 } else {
                     throw new PascalError(node.token, "don't know how to compile a cast from " +
                                          fromType.print() + " to " + toType.print());
                 }
                 break;
             case Node.ASSIGNMENT:
+                if (node.lhs.nodeType === Node.STRING_INDEX) {
+                    // Characters of strings don't have their own address. Replace
+                    // the character in the string variable instead.
+                    this._generateAddressBytecode(bytecode, node.lhs.variable, symbolTable);
+                    this._generateBytecode(bytecode, node.lhs.index, symbolTable);
+                    this._generateBytecode(bytecode, node.rhs, symbolTable);
+                    bytecode.add(inst.SCS, 0, 0, "store into " + node.lhs.print());
+                    break;
+                }
+
                 // Push address of LHS onto stack.
                 this._generateAddressBytecode(bytecode, node.lhs, symbolTable);
 
@@ -205,22 +369,20 @@ define(["Bytecode", "Node", "inst", "PascalError"],
             case Node.FUNCTION_CALL:
                 var isFunction = node.nodeType === Node.FUNCTION_CALL;
                 var declType = isFunction ? "function" : "procedure";
+
+                // Calls through procedural values go wherever the value says.
+                if (node.name.expressionType.nodeType === Node.PROCEDURAL_TYPE) {
+                    this._generateIndirectCall(bytecode, node, symbolTable);
+                    break;
+                }
+
                 var symbolLookup = node.name.symbolLookup;
                 var symbol = symbolLookup.symbol;
 
                 if (!symbol.isNative) {
                     bytecode.add(inst.MST, symbolLookup.level, 0, "set up mark for " + declType);
                 }
-
-                // Push arguments.
-                for (var i = 0; i < node.argumentList.length; i++) {
-                    var argument = node.argumentList[i];
-                    if (argument.byReference) {
-                        this._generateAddressBytecode(bytecode, argument, symbolTable);
-                    } else {
-                        this._generateBytecode(bytecode, argument, symbolTable);
-                    }
-                }
+                this._generateArgumentsBytecode(bytecode, node, symbolTable);
 
                 // See if this is a user procedure/function or native procedure/function.
                 if (symbol.isNative) {
@@ -229,18 +391,32 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     bytecode.add(inst.CSP, node.argumentList.length, index,
                                  "call system " + declType + " " + symbol.name);
                 } else {
-                    // Call procedure/function.
+                    // Call procedure/function. If it was declared forward, its body
+                    // may not have an address yet, so we fix it up later.
+                    var address = symbol.address;
+                    if (address === -1) {
+                        this.forwardCalls.push({
+                            address: bytecode.getNextAddress(),
+                            symbol: symbol
+                        });
+                        address = 0;
+                    }
                     var parameterSize = symbol.type.getTotalParameterSize();
-                    bytecode.add(inst.CUP, parameterSize, symbol.address,
-                                 "call " + node.name.print());
+                    bytecode.add(inst.CUP, parameterSize, address, "call " + node.name.print());
                 }
                 break;
+            case Node.METHOD_CALL:
+                this._generateMethodCallBytecode(bytecode, node, symbolTable);
+                break;
             case Node.REPEAT:
                 var topOfLoop = bytecode.getNextAddress();
                 bytecode.addComment(topOfLoop, "top of repeat loop");
+                this._beginLoopFrame();
                 this._generateBytecode(bytecode, node.block, symbolTable);
+                var testAddress = bytecode.getNextAddress();
                 this._generateBytecode(bytecode, node.expression, symbolTable);
                 bytecode.add(inst.FJP, 0, topOfLoop, "jump to top of repeat");
+                this._endLoopFrame(bytecode, testAddress, bytecode.getNextAddress());
                 break;
             case Node.FOR:
                 // Assign start value.
@@ -259,9 +435,12 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 bytecode.add(inst.TJP, 0, 0, "yes, jump to end");
 
                 // Body.
+                this._beginLoopFrame();
                 this._generateBytecode(bytecode, node.body, symbolTable);
 
-                // Increment/decrement variable.
+                // Increment/decrement variable. A continue comes here; a break
+                // leaves the variable as it was in the body.
+                var incrementAddress = bytecode.getNextAddress();
                 this._generateAddressBytecode(bytecode, varNode, symbolTable);
                 this._generateBytecode(bytecode, varNode, symbolTable);
                 if (node.downto) {
@@ -276,8 +455,9 @@ define(["Bytecode", "Node", "inst", "PascalError"],
 
                 var endOfLoop = bytecode.getNextAddress();
 
-                // Fix up earlier jump.
+                // Fix up earlier jumps.
                 bytecode.setOperand2(jumpInstruction, endOfLoop);
+                this._endLoopFrame(bytecode, incrementAddress, endOfLoop);
                 break;
             case Node.IF:
                 var hasElse = node.elseStatement !== null;
@@ -308,6 +488,30 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     bytecode.setOperand2(skipElseInstruction, endOfIf);
                 }
                 break;
+            case Node.CASE:
+                this._generateCaseBytecode(bytecode, node, symbolTable);
+                break;
+            case Node.LABELED_STATEMENT:
+                node.label.address = bytecode.getNextAddress();
+                bytecode.addComment(node.label.address, "label " + node.label.name);
+                this._generateBytecode(bytecode, node.statement, symbolTable);
+                break;
+            case Node.GOTO:
+                // The label may be further down, so this is fixed up at the end.
+                this.gotoInstructions.push({
+                    address: bytecode.getNextAddress(),
+                    label: node.label
+                });
+                bytecode.add(inst.UJP, 0, 0, "goto " + node.label.name);
+                break;
+            case Node.WITH:
+                // Compute the address of the record once. Fields used by name in
+                // the statement are found through this temporary.
+                bytecode.add(inst.LDA, 0, node.recordSymbol.address, "address of with temporary");
+                this._generateAddressBytecode(bytecode, node.variable, symbolTable);
+                bytecode.add(inst.STI, inst.A, 0, "store address of " + node.variable.print());
+                this._generateBytecode(bytecode, node.statement, symbolTable);
+                break;
             case Node.EXIT:
                 // Return from procedure or function. We don't yet have the address
                 // of the last instruction in this function, so we keep track of these
@@ -327,12 +531,27 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 bytecode.add(inst.FJP, 0, 0, "if false, exit while loop");
 
                 // Generate the statement.
+                this._beginLoopFrame();
                 this._generateBytecode(bytecode, node.statement, symbolTable);
                 bytecode.add(inst.UJP, 0, topOfLoop, "jump to top of while loop");
 
-                // Fix up earlier jump.
+                // Fix up earlier jumps.
                 var endOfLoop = bytecode.getNextAddress();
                 bytecode.setOperand2(jumpInstruction, endOfLoop);
+                this._endLoopFrame(bytecode, topOfLoop, endOfLoop);
+                break;
+            case Node.BREAK:
+            case Node.CONTINUE:
+                // Jump to the end or next iteration of the innermost loop. We don't
+                // know where those are yet, so the loop fixes these up at its end.
+                var loopFrame = this.loopFrames[this.loopFrames.length - 1];
+                if (node.nodeType === Node.BREAK) {
+                    loopFrame.breakInstructions.push(bytecode.getNextAddress());
+                    bytecode.add(inst.UJP, 0, 0, "break out of loop");
+                } else {
+                    loopFrame.continueInstructions.push(bytecode.getNextAddress());
+                    bytecode.add(inst.UJP, 0, 0, "continue with next iteration of loop");
+                }
                 break;
             case Node.TYPED_CONST:
                 // These are just initialized variables. Copy the values to their stack
@@ -362,7 +581,39 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 break;
             case Node.NOT:
                 this._generateBytecode(bytecode, node.expression, symbolTable);
-                bytecode.add(inst.NOT, 0, 0, "logical not");
+                bytecode.add(inst.NOT, node.expressionType.getSimpleTypeCode(), 0, "not");
+                if (node.expressionType.isSimpleType(inst.I)) {
+                    this._generateIntegerResultBytecode(bytecode, node);
+                }
+                break;
+            case Node.ORD:
+                this._generateOrdinalBytecode(bytecode, node.expression, symbolTable);
+                break;
+            case Node.SUCC:
+            case Node.PRED:
+                this._generateSuccessorBytecode(bytecode, node, symbolTable);
+                break;
+            case Node.CHR:
+                this._generateBytecode(bytecode, node.expression, symbolTable);
+                if (isSwitchOn(node.token, "r")) {
+                    this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR, 0, 255,
+                                                node.expression.token);
+                } else {
+                    this._generateWrapBytecode(bytecode, Node.byteType);
+                }
+                bytecode.add(inst.CHR, 0, 0, "integer to char");
+                break;
+            case Node.UPCASE:
+                this._generateBytecode(bytecode, node.expression, symbolTable);
+                bytecode.add(inst.UPC, 0, 0, "upper case");
+                break;
+            case Node.TRUNC:
+                this._generateBytecode(bytecode, node.expression, symbolTable);
+                bytecode.add(inst.TRC, 0, 0, "truncate");
+                break;
+            case Node.ROUND:
+                this._generateBytecode(bytecode, node.expression, symbolTable);
+                bytecode.add(inst.RND, 0, 0, "round");
                 break;
             case Node.NEGATIVE:
                 this._generateBytecode(bytecode, node.expression, symbolTable);
@@ -370,19 +621,28 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     bytecode.add(inst.NGR, 0, 0, "real sign inversion");
                 } else {
                     bytecode.add(inst.NGI, 0, 0, "integer sign inversion");
+                    this._generateIntegerResultBytecode(bytecode, node);
                 }
                 break;
             case Node.ADDITION:
-                this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
-                                                    "add", inst.ADI, inst.ADR);
+                if (node.expressionType.isSimpleType(inst.S)) {
+                    // There's no opcode for concatenating strings, but ADI does
+                    // it since they're JavaScript strings.
+                    this._generateBytecode(bytecode, node.lhs, symbolTable);
+                    this._generateBytecode(bytecode, node.rhs, symbolTable);
+                    bytecode.add(inst.ADI, inst.S, 0, "concatenate strings");
+                } else {
+                    this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
+                                                        "add", inst.ADI, inst.ADR, inst.UNI);
+                }
                 break;
             case Node.SUBTRACTION:
                 this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
-                                                    "subtract", inst.SBI, inst.SBR);
+                                                    "subtract", inst.SBI, inst.SBR, inst.DIF);
                 break;
             case Node.MULTIPLICATION:
                 this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
-                                                    "multiply", inst.MPI, inst.MPR);
+                                                    "multiply", inst.MPI, inst.MPR, inst.INT);
                 break;
             case Node.DIVISION:
                 this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
@@ -402,11 +662,51 @@ define(["Bytecode", "Node", "inst", "PascalError"],
             case Node.ADDRESS_OF:
                 this._generateAddressBytecode(bytecode, node.variable, symbolTable);
                 break;
+            case Node.OPEN_ARRAY_ARGUMENT:
+                this._generateAddressBytecode(bytecode, node.variable, symbolTable);
+                this._generateBytecode(bytecode, node.high, symbolTable);
+                break;
+            case Node.STRING_INDEX:
+                this._generateBytecode(bytecode, node.variable, symbolTable);
+                this._generateBytecode(bytecode, node.index, symbolTable);
+                bytecode.add(inst.LCS, 0, 0, "load character of string");
+                break;
+            case Node.SET:
+                if (node.isConstant()) {
+                    // Build the whole set now.
+                    var cindex = bytecode.addConstant(node.getConstantValue());
+                    bytecode.add(inst.LDC, inst.T, cindex, "set " + node.print());
+                } else {
+                    // Make a set from each element and combine them.
+                    for (var i = 0; i < node.elements.length; i++) {
+                        var element = node.elements[i];
+                        if (element.nodeType === Node.RANGE) {
+                            this._generateOrdinalBytecode(bytecode, element.low, symbolTable);
+                            this._generateOrdinalBytecode(bytecode, element.high, symbolTable);
+                            bytecode.add(inst.SGS, 1, 0, "set of range " + element.print());
+                        } else {
+                            this._generateOrdinalBytecode(bytecode, element, symbolTable);
+                            bytecode.add(inst.SGS, 0, 0, "set of " + element.print());
+                        }
+                        if (i > 0) {
+                            bytecode.add(inst.UNI, 0, 0, "add to set");
+                        }
+                    }
+                }
+                break;
+            case Node.IN:
+                this._generateOrdinalBytecode(bytecode, node.lhs, symbolTable);
+                this._generateBytecode(bytecode, node.rhs, symbolTable);
+                bytecode.add(inst.INN, 0, 0, "set membership");
+                break;
             case Node.DEREFERENCE:
                 this._generateBytecode(bytecode, node.variable, symbolTable);
                 bytecode.add(inst.LDI, node.expressionType.getSimpleTypeCode(), 0,
                              "load value pointed to by pointer");
                 break;
+            case Node.TYPECAST:
+                this._generateTypecastBytecode(bytecode, node, symbolTable);
+                break;
             case Node.EQUALITY:
                 this._generateComparisonBinaryBytecode(bytecode, node, symbolTable,
                                                        "equals", inst.EQU);
@@ -432,12 +732,37 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                                                        "greater than or equal to", inst.GEQ);
                 break;
             case Node.AND:
-                this._generateComparisonBinaryBytecode(bytecode, node, symbolTable,
-                                                       "and", inst.AND);
+                if (node.expressionType.isBooleanType() && !isSwitchOn(node.token, "b")) {
+                    this._generateShortCircuitBytecode(bytecode, node, symbolTable);
+                } else {
+                    this._generateComparisonBinaryBytecode(bytecode, node, symbolTable,
+                                                           "and", inst.AND);
+                }
                 break;
             case Node.OR:
+                if (node.expressionType.isBooleanType() && !isSwitchOn(node.token, "b")) {
+                    this._generateShortCircuitBytecode(bytecode, node, symbolTable);
+                } else {
+                    this._generateComparisonBinaryBytecode(bytecode, node, symbolTable,
+                                                           "or", inst.IOR);
+                }
+                break;
+            case Node.XOR:
                 this._generateComparisonBinaryBytecode(bytecode, node, symbolTable,
-                                                       "or", inst.IOR);
+                                                       "xor", inst.XOR);
+                break;
+            case Node.SHL:
+                this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
+                                                    "shift", inst.SHL, null);
+                break;
+            case Node.SHR:
+                // Zeros are shifted in at the top of the type, so the shift
+                // needs its size.
+                this._generateBytecode(bytecode, node.lhs, symbolTable);
+                this._generateBytecode(bytecode, node.rhs, symbolTable);
+                bytecode.add(inst.SHR, this._getIntegerBits(node.expressionType), 0,
+                             "shift right");
+                this._generateIntegerResultBytecode(bytecode, node);
                 break;
             case Node.INTEGER_DIVISION:
                 this._generateNumericBinaryBytecode(bytecode, node, symbolTable,
@@ -452,9 +777,10 @@ define(["Bytecode", "Node", "inst", "PascalError"],
         }
     };
 
-    // Generates code to do math on two operands.
+    // Generates code to do math on two operands. The setOpcode is optional, for
+    // operators that also work on sets.
     Compiler.prototype._generateNumericBinaryBytecode = function (bytecode, node,
-        symbolTable, opName, integerOpcode, realOpcode) {
+        symbolTable, opName, integerOpcode, realOpcode, setOpcode) {
 
         this._generateBytecode(bytecode, node.lhs, symbolTable);
         this._generateBytecode(bytecode, node.rhs, symbolTable);
@@ -465,6 +791,7 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                         throw new PascalError(node.token, "can't " + opName + " integers");
                     }
                     bytecode.add(integerOpcode, 0, 0, opName + " integers");
+                    this._generateIntegerResultBytecode(bytecode, node);
                     break;
                 case inst.R:
                     if (realOpcode === null) {
@@ -476,12 +803,53 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     throw new PascalError(node.token, "can't " + opName + " operands of type " +
                         inst.typeCodeToName(node.expressionType.typeCode));
             }
+        } else if (node.expressionType.nodeType === Node.SET_TYPE && setOpcode) {
+            bytecode.add(setOpcode, 0, 0, opName + " sets");
         } else {
             throw new PascalError(node.token, "can't " + opName +
                                  " operands of type " + node.expressionType.print());
         }
     };
 
+    // Generates code for the integer result of the arithmetic node, which may be
+    // out of the range of its type. It wraps around, or with overflow checking,
+    // stops the program.
+    Compiler.prototype._generateIntegerResultBytecode = function (bytecode, node) {
+        var type = node.expressionType;
+
+        if (isSwitchOn(node.token, "q")) {
+            this._generateCheckBytecode(bytecode, OVERFLOW_ERROR, type.low, type.high,
+                                        node.token);
+        } else {
+            this._generateWrapBytecode(bytecode, type);
+        }
+    };
+
+    // Generates code to stop the program with the runtime error (such as
+    // RANGE_CHECK_ERROR) unless the integer on the stack is from low to high.
+    // The token is the source code being checked, for the error message.
+    Compiler.prototype._generateCheckBytecode = function (bytecode, errorCode,
+                                                          low, high, token) {
+
+        var cindex = bytecode.addConstant([low, high]);
+        bytecode.setToken(bytecode.getNextAddress(), token);
+        bytecode.add(inst.CHK, errorCode, cindex, "check range " + low + ".." + high);
+    };
+
+    // Generates code to wrap the integer on the stack around to the range of the
+    // integer type, as Turbo Pascal's arithmetic does when it overflows.
+    Compiler.prototype._generateWrapBytecode = function (bytecode, type) {
+        bytecode.add(inst.WRP, this._getIntegerBits(type), type.low < 0 ? 1 : 0,
+                     "wrap to " + type.print());
+    };
+
+    // Returns the number of bits in values of the integer type.
+    Compiler.prototype._getIntegerBits = function (type) {
+        var size = type.high - type.low + 1;
+
+        return size <= 0x100 ? 8 : size <= 0x10000 ? 16 : 32;
+    };
+
     // Generates code to compare two operands.
     Compiler.prototype._generateComparisonBinaryBytecode = function (bytecode, node,
         symbolTable, opName, opcode) {
@@ -489,14 +857,378 @@ define(["Bytecode", "Node", "inst", "PascalError"],
         this._generateBytecode(bytecode, node.lhs, symbolTable);
         this._generateBytecode(bytecode, node.rhs, symbolTable);
         var opType = node.lhs.expressionType;
-        if (opType.nodeType === Node.SIMPLE_TYPE) {
-            bytecode.add(opcode, opType.typeCode, 0, opName);
+        if (opType.nodeType === Node.SIMPLE_TYPE || opType.nodeType === Node.ENUM_TYPE ||
+            (opType.nodeType === Node.SET_TYPE &&
+             (opcode === inst.EQU || opcode === inst.NEQ ||
+              opcode === inst.LEQ || opcode === inst.GEQ)) ||
+            (opType.nodeType === Node.PROCEDURAL_TYPE &&
+             (opcode === inst.EQU || opcode === inst.NEQ))) {
+
+            bytecode.add(opcode, opType.getSimpleTypeCode(), 0, opName);
         } else {
             throw new PascalError(node.token, "can't do " + opName +
                                  " operands of type " + opType.print());
         }
     };
 
+    // Generates code for a boolean "and" or "or" that skips the right operand
+    // if the left one decides the result. This is the default, and {$B+} asks
+    // for complete evaluation instead.
+    Compiler.prototype._generateShortCircuitBytecode = function (bytecode, node, symbolTable) {
+        var isAnd = node.nodeType === Node.AND;
+        var opName = isAnd ? "and" : "or";
+
+        this._generateBytecode(bytecode, node.lhs, symbolTable);
+        var skipInstruction = bytecode.getNextAddress();
+        bytecode.add(isAnd ? inst.FJP : inst.TJP, 0, 0, "skip right operand of " + opName);
+
+        this._generateBytecode(bytecode, node.rhs, symbolTable);
+        var endInstruction = bytecode.getNextAddress();
+        bytecode.add(inst.UJP, 0, 0, "jump to end of " + opName);
+
+        // The left operand was the result.
+        bytecode.setOperand2(skipInstruction, bytecode.getNextAddress());
+        bytecode.add(inst.LDC, inst.B, isAnd ? 0 : 1, "result of " + opName);
+        bytecode.setOperand2(endInstruction, bytecode.getNextAddress());
+    };
+
+    // Generates code to push the ordinal value of an expression, such as the
+    // character code of a Char.
+    Compiler.prototype._generateOrdinalBytecode = function (bytecode, node, symbolTable) {
+        this._generateBytecode(bytecode, node, symbolTable);
+        if (node.expressionType.getSimpleTypeCode() !== inst.I) {
+            bytecode.add(inst.ORD, 0, 0, "ordinal value");
+        }
+    };
+
+    // Generates code for a TYPECAST node. Pointers and integers are both numbers
+    // at run time, so only casts between ordinal types need any conversion.
+    Compiler.prototype._generateTypecastBytecode = function (bytecode, node, symbolTable) {
+        var fromType = node.expression.expressionType;
+        var toType = node.expressionType;
+
+        if (!fromType.isOrdinalType() || !toType.isOrdinalType()) {
+            this._generateBytecode(bytecode, node.expression, symbolTable);
+            return;
+        }
+
+        this._generateOrdinalBytecode(bytecode, node.expression, symbolTable);
+        if (toType.isSimpleType(inst.I)) {
+            if (!fromType.isSimpleType(inst.I) || !toType.includesIntegerType(fromType)) {
+                this._generateWrapBytecode(bytecode, toType);
+            }
+        } else if (toType.isSimpleType(inst.C)) {
+            this._generateWrapBytecode(bytecode, Node.byteType);
+            bytecode.add(inst.CHR, 0, 0, "integer to char");
+        } else if (toType.isSimpleType(inst.B)) {
+            bytecode.add(inst.LDC, inst.I, bytecode.addConstant(0), "false");
+            bytecode.add(inst.NEQ, inst.I, 0, "integer to boolean");
+        }
+    };
+
+    // Generates code for a SUCC or PRED node. Characters and booleans are stepped
+    // as their ordinal values and converted back.
+    Compiler.prototype._generateSuccessorBytecode = function (bytecode, node, symbolTable) {
+        var type = node.expressionType;
+
+        this._generateOrdinalBytecode(bytecode, node.expression, symbolTable);
+        if (node.nodeType === Node.SUCC) {
+            bytecode.add(inst.INC, inst.I, 0, "successor");
+        } else {
+            bytecode.add(inst.DEC, inst.I, 0, "predecessor");
+        }
+
+        if (isSwitchOn(node.token, "r")) {
+            this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR, type.getTypeLowBound(),
+                                        type.getTypeHighBound(), node.token);
+        } else if (type.isSimpleType(inst.I)) {
+            this._generateWrapBytecode(bytecode, type);
+        } else if (type.isSimpleType(inst.C)) {
+            this._generateWrapBytecode(bytecode, Node.byteType);
+        }
+
+        if (type.isSimpleType(inst.C)) {
+            bytecode.add(inst.CHR, 0, 0, "integer to char");
+        } else if (type.isSimpleType(inst.B)) {
+            bytecode.add(inst.LDC, inst.I, bytecode.addConstant(0), "false");
+            bytecode.add(inst.NEQ, inst.I, 0, "integer to boolean");
+        }
+    };
+
+    // Generates code for the procedures and functions declared in the program,
+    // procedure, function, or unit.
+    Compiler.prototype._generateSubprogramsBytecode = function (bytecode, node) {
+        for (var i = 0; i < node.declarations.length; i++) {
+            var declaration = node.declarations[i];
+            if (declaration.nodeType === Node.PROCEDURE ||
+                declaration.nodeType === Node.FUNCTION) {
+
+                this._generateBytecode(bytecode, declaration, node.symbolTable);
+            }
+        }
+    };
+
+    // Generates code to set the typed constants declared in the program, procedure,
+    // function, or unit.
+    Compiler.prototype._generateTypedConstantsBytecode = function (bytecode, node) {
+        for (var i = 0; i < node.declarations.length; i++) {
+            var declaration = node.declarations[i];
+            if (declaration.nodeType === Node.TYPED_CONST) {
+                this._generateBytecode(bytecode, declaration, node.symbolTable);
+            }
+        }
+    };
+
+    // Generates code to push the arguments of a call.
+    Compiler.prototype._generateArgumentsBytecode = function (bytecode, node, symbolTable) {
+        for (var i = 0; i < node.argumentList.length; i++) {
+            var argument = node.argumentList[i];
+            if (argument.byReference) {
+                this._generateAddressBytecode(bytecode, argument, symbolTable);
+            } else {
+                this._generateBytecode(bytecode, argument, symbolTable);
+            }
+        }
+    };
+
+    // Generates code for a call through a procedural value. Only procedures and
+    // functions of the main program can be values, so the static link is always
+    // the main program's frame.
+    Compiler.prototype._generateIndirectCall = function (bytecode, node, symbolTable) {
+        var type = node.name.expressionType;
+
+        bytecode.add(inst.MST, symbolTable.getGlobalLevel(), 0,
+                     "set up mark for call through " + node.name.print());
+        this._generateArgumentsBytecode(bytecode, node, symbolTable);
+
+        // Push the address of the procedure or function last, so CUI can pop it.
+        this._generateBytecode(bytecode, node.name, symbolTable);
+        bytecode.setToken(bytecode.getNextAddress(), node.name.token);
+        bytecode.add(inst.CUI, type.getTotalParameterSize(), 0, "call " + node.name.print());
+    };
+
+    // Generates code for a call to a method. Methods are outermost procedures and
+    // functions whose first parameter is the address of the object (Self).
+    // Virtual methods are found through the VMT whose address is in the object.
+    Compiler.prototype._generateMethodCallBytecode = function (bytecode, node, symbolTable) {
+        var method = node.method;
+        var objectType = node.object.expressionType;
+        var name = method.symbol.name;
+        var isVirtual = method.isVirtual && !node.isStatic;
+
+        // Pushes the address of the object. If we need it more than once, it's
+        // computed once and kept in a temporary.
+        var self = this;
+        var generateObjectAddress = function () {
+            if (node.objectSymbol === null) {
+                self._generateAddressBytecode(bytecode, node.object, symbolTable);
+            } else {
+                bytecode.add(inst.LVA, 0, node.objectSymbol.address, "address of object");
+            }
+        };
+        if (node.objectSymbol !== null) {
+            bytecode.add(inst.LDA, 0, node.objectSymbol.address, "address of object temporary");
+            this._generateAddressBytecode(bytecode, node.object, symbolTable);
+            bytecode.add(inst.STI, inst.A, 0, "store address of object");
+        }
+
+        // Pushes the address of the object's VMT field.
+        var generateVmtFieldAddress = function () {
+            generateObjectAddress();
+            var cindex = bytecode.addConstant(objectType.vmtOffset);
+            bytecode.add(inst.LDC, inst.I, cindex, "offset of VMT field");
+            bytecode.add(inst.ADI, 0, 0, "address of VMT field");
+        };
+
+        // Constructors set up the object's VMT, so that its virtual methods can
+        // be called, before anything else.
+        if (method.kind === "constructor" && !node.isStatic && objectType.vmtOffset !== -1) {
+            generateVmtFieldAddress();
+            var cindex = bytecode.addConstant(this._getVmtAddress(bytecode, objectType));
+            bytecode.add(inst.LDC, inst.A, cindex, "address of VMT of " + objectType.name.print());
+            bytecode.add(inst.STI, inst.A, 0, "store address of VMT");
+        }
+
+        bytecode.add(inst.MST, symbolTable.getGlobalLevel(), 0, "set up mark for method");
+        generateObjectAddress();
+        this._generateArgumentsBytecode(bytecode, node, symbolTable);
+
+        var parameterSize = method.expressionType.getTotalParameterSize() + 1;
+        if (isVirtual) {
+            generateVmtFieldAddress();
+            bytecode.add(inst.LDI, inst.A, 0, "address of VMT");
+            var cindex = bytecode.addConstant(method.vmtIndex);
+            bytecode.add(inst.LDC, inst.I, cindex, "index of " + method.name.print() + " in VMT");
+            bytecode.add(inst.ADI, 0, 0, "address of VMT entry");
+            bytecode.add(inst.LDI, inst.A, 0, "address of method");
+            bytecode.add(inst.CUI, parameterSize, 0, "call virtual " + name);
+        } else {
+            // The method's body may not have an address yet.
+            var address = method.symbol.address;
+            if (address === -1) {
+                this.forwardCalls.push({
+                    address: bytecode.getNextAddress(),
+                    symbol: method.symbol
+                });
+                address = 0;
+            }
+            bytecode.add(inst.CUP, parameterSize, address, "call " + name);
+        }
+    };
+
+    // Generates code for a case statement. Labels that are dense enough are
+    // dispatched with an indexed jump (XJP) into a table of UJP instructions, one
+    // per ordinal value. Sparse labels are compared one at a time.
+    Compiler.prototype._generateCaseBytecode = function (bytecode, node, symbolTable) {
+        var selectorAddress = node.selectorSymbol.address;
+
+        // Collect the ordinal range of every label, remembering which arm it's for.
+        var ranges = [];
+        var valueCount = 0;
+        var low = 0;
+        var high = -1;
+        for (var i = 0; i < node.arms.length; i++) {
+            var arm = node.arms[i];
+            for (var j = 0; j < arm.labels.length; j++) {
+                var label = arm.labels[j];
+                var range;
+                if (label.nodeType === Node.RANGE) {
+                    range = {
+                        low: label.low.getOrdinalValue(),
+                        high: label.high.getOrdinalValue(),
+                        arm: i
+                    };
+                    if (range.low > range.high) {
+                        throw new PascalError(label.token, "empty case label range");
+                    }
+                } else {
+                    var value = label.getOrdinalValue();
+                    range = {low: value, high: value, arm: i};
+                }
+
+                // Labels can't overlap.
+                for (var k = 0; k < ranges.length; k++) {
+                    if (range.low <= ranges[k].high && range.high >= ranges[k].low) {
+                        throw new PascalError(label.token, "duplicate case label");
+                    }
+                }
+
+                if (ranges.length === 0 || range.low < low) {
+                    low = range.low;
+                }
+                if (ranges.length === 0 || range.high > high) {
+                    high = range.high;
+                }
+                valueCount += range.high - range.low + 1;
+                ranges.push(range);
+            }
+        }
+
+        // Evaluate the selector once and store its ordinal value.
+        bytecode.add(inst.LDA, 0, selectorAddress, "address of case selector");
+        this._generateOrdinalBytecode(bytecode, node.expression, symbolTable);
+        if (isSwitchOn(node.token, "r")) {
+            var selectorType = node.expression.expressionType;
+            this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR,
+                                        selectorType.getTypeLowBound(),
+                                        selectorType.getTypeHighBound(), node.expression.token);
+        }
+        bytecode.add(inst.STI, inst.I, 0, "store case selector");
+
+        // Jumps to fix up once we know where the arms are. Each is the address
+        // of a jump instruction and the index of its arm (-1 for the else part).
+        var armJumps = [];
+
+        var tableSize = high - low + 1;
+        if (ranges.length > 0 && tableSize <= MAX_JUMP_TABLE_SIZE &&
+            tableSize <= 3*valueCount) {
+
+            // Jump to the else part if we're outside the table.
+            var lowIndex = bytecode.addConstant(low);
+            var highIndex = bytecode.addConstant(high);
+            bytecode.add(inst.LVI, 0, selectorAddress, "value of case selector");
+            bytecode.add(inst.LDC, inst.I, lowIndex, "lowest case label " + low);
+            bytecode.add(inst.LES, inst.I, 0, "see if selector is below table");
+            armJumps.push({address: bytecode.getNextAddress(), arm: -1});
+            bytecode.add(inst.TJP, 0, 0, "yes, jump to else");
+            bytecode.add(inst.LVI, 0, selectorAddress, "value of case selector");
+            bytecode.add(inst.LDC, inst.I, highIndex, "highest case label " + high);
+            bytecode.add(inst.GRT, inst.I, 0, "see if selector is above table");
+            armJumps.push({address: bytecode.getNextAddress(), arm: -1});
+            bytecode.add(inst.TJP, 0, 0, "yes, jump to else");
+
+            // Index into the table, which starts right after the XJP.
+            bytecode.add(inst.LVI, 0, selectorAddress, "value of case selector");
+            bytecode.add(inst.LDC, inst.I, lowIndex, "lowest case label " + low);
+            bytecode.add(inst.SBI, 0, 0, "index into jump table");
+            bytecode.add(inst.XJP, 0, bytecode.getNextAddress() + 1, "jump into table");
+
+            // One jump for each value, to its arm or to the else part.
+            for (var ordinal = low; ordinal <= high; ordinal++) {
+                var armIndex = -1;
+                for (var i = 0; i < ranges.length; i++) {
+                    if (ordinal >= ranges[i].low && ordinal <= ranges[i].high) {
+                        armIndex = ranges[i].arm;
+                        break;
+                    }
+                }
+                armJumps.push({address: bytecode.getNextAddress(), arm: armIndex});
+                bytecode.add(inst.UJP, 0, 0, "case label " + ordinal);
+            }
+        } else {
+            // Compare against each label in turn.
+            for (var i = 0; i < ranges.length; i++) {
+                var range = ranges[i];
+                var lowIndex = bytecode.addConstant(range.low);
+                bytecode.add(inst.LVI, 0, selectorAddress, "value of case selector");
+                bytecode.add(inst.LDC, inst.I, lowIndex, "case label " + range.low);
+                if (range.low === range.high) {
+                    bytecode.add(inst.EQU, inst.I, 0, "compare with label");
+                } else {
+                    var highIndex = bytecode.addConstant(range.high);
+                    bytecode.add(inst.GEQ, inst.I, 0, "compare with low end of range");
+                    bytecode.add(inst.LVI, 0, selectorAddress, "value of case selector");
+                    bytecode.add(inst.LDC, inst.I, highIndex, "case label " + range.high);
+                    bytecode.add(inst.LEQ, inst.I, 0, "compare with high end of range");
+                    bytecode.add(inst.AND, 0, 0, "within range");
+                }
+                armJumps.push({address: bytecode.getNextAddress(), arm: range.arm});
+                bytecode.add(inst.TJP, 0, 0, "found it, jump to arm");
+            }
+            armJumps.push({address: bytecode.getNextAddress(), arm: -1});
+            bytecode.add(inst.UJP, 0, 0, "no label matched, jump to else");
+        }
+
+        // Generate the arms, each jumping to the end when it's done.
+        var armAddresses = [];
+        var endJumps = [];
+        for (var i = 0; i < node.arms.length; i++) {
+            armAddresses.push(bytecode.getNextAddress());
+            bytecode.addComment(armAddresses[i], "case arm " + (i + 1));
+            this._generateBytecode(bytecode, node.arms[i].statement, symbolTable);
+            endJumps.push(bytecode.getNextAddress());
+            bytecode.add(inst.UJP, 0, 0, "jump to end of case");
+        }
+
+        // Else part.
+        var elseAddress = bytecode.getNextAddress();
+        if (node.elseStatement !== null) {
+            bytecode.addComment(elseAddress, "case else");
+            this._generateBytecode(bytecode, node.elseStatement, symbolTable);
+        }
+        var endAddress = bytecode.getNextAddress();
+
+        // Fix up earlier jumps.
+        for (var i = 0; i < armJumps.length; i++) {
+            var armIndex = armJumps[i].arm;
+            bytecode.setOperand2(armJumps[i].address,
+                                 armIndex === -1 ? elseAddress : armAddresses[armIndex]);
+        }
+        for (var i = 0; i < endJumps.length; i++) {
+            bytecode.setOperand2(endJumps[i], endAddress);
+        }
+    };
+
     // Adds the address of the node to the bytecode.
     Compiler.prototype._generateAddressBytecode = function(bytecode, node, symbolTable) {
         switch (node.nodeType) {
@@ -528,25 +1260,38 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                     // Generate value of index.
                     this._generateBytecode(bytecode, node.indices[i], symbolTable);
 
-                    // Subtract lower bound.
                     var low = arrayType.ranges[i].getRangeLowBound();
+                    if (isSwitchOn(node.token, "r")) {
+                        if (arrayType.isOpen) {
+                            // The highest index of an open array is only known at
+                            // run time. It's passed next to the array's address.
+                            var lookup = node.variable.symbolLookup;
+                            bytecode.add(inst.LVI, lookup.level,
+                                         lookup.symbol.highSymbol.address,
+                                         "highest index of " + node.variable.print());
+                            bytecode.setToken(bytecode.getNextAddress(), node.indices[i].token);
+                            bytecode.add(inst.CHB, RANGE_CHECK_ERROR, 0,
+                                         "check range 0..highest index");
+                        } else {
+                            this._generateCheckBytecode(bytecode, RANGE_CHECK_ERROR, low,
+                                                        arrayType.ranges[i].getRangeHighBound(),
+                                                        node.indices[i].token);
+                        }
+                    }
+
+                    // Subtract lower bound.
                     var cindex = bytecode.addConstant(low);
                     bytecode.add(inst.LDC, inst.I, cindex, "lower bound " + low);
                     bytecode.add(inst.SBI, 0, 0, "subtract lower bound");
 
-                    // Add new stride.
-                    var size = arrayType.ranges[i].getRangeSize();
-                    strides.push(strides[strides.length - 1]*size);
-
-                    // This would be a good place to do a runtime bounds check since
-                    // we have the index and the size. The top of the stack should be
-                    // non-negative and less than size.
+                    // Add new stride. We don't need the last one, the size of the
+                    // entire array.
+                    if (i < node.indices.length - 1) {
+                        var size = arrayType.ranges[i].getRangeSize();
+                        strides.push(strides[strides.length - 1]*size);
+                    }
                 }
 
-                // Pop the last stride, we don't need it. It represents the size of the
-                // entire array.
-                strides.pop();
-
                 // Look up address of array.
                 this._generateAddressBytecode(bytecode, node.variable, symbolTable);
 
@@ -578,11 +1323,53 @@ define(["Bytecode", "Node", "inst", "PascalError"],
                 this._generateBytecode(bytecode, node.variable, symbolTable);
                 break;
 
+            case Node.STRING_INDEX:
+                throw new PascalError(node.token,
+                                      "can't take the address of a character in a string");
+
             default:
                 throw new PascalError(null, "unknown LHS node " + node.print());
         }
     };
 
+    // Returns the address, in the typed constant area, of the names of the
+    // values of an enumerated type. The names are added the first time.
+    Compiler.prototype._getEnumNamesAddress = function (bytecode, type) {
+        for (var i = 0; i < this.enumNames.length; i++) {
+            if (this.enumNames[i].type === type.getHostType()) {
+                return this.enumNames[i].address;
+            }
+        }
+
+        var names = [];
+        for (var i = 0; i < type.entries.length; i++) {
+            names.push(type.entries[i].token.value);
+        }
+        var address = bytecode.addTypedConstants(names);
+        this.enumNames.push({type: type.getHostType(), address: address});
+
+        return address;
+    };
+
+    // Returns the address, in the typed constant area, of the VMT of the object
+    // type. Room for it is made the first time, and filled in at the end.
+    Compiler.prototype._getVmtAddress = function (bytecode, type) {
+        for (var i = 0; i < this.vmts.length; i++) {
+            if (this.vmts[i].type === type) {
+                return this.vmts[i].address;
+            }
+        }
+
+        var entries = [];
+        for (var i = 0; i < type.vmt.length; i++) {
+            entries.push(0);
+        }
+        var address = bytecode.addTypedConstants(entries);
+        this.vmts.push({type: type, address: address});
+
+        return address;
+    };
+
     // Start a frame for a function/procedure.
     Compiler.prototype._beginExitFrame = function () {
         this.exitInstructions.push([]);
@@ -599,5 +1386,26 @@ define(["Bytecode", "Node", "inst", "PascalError"],
         return this.exitInstructions.pop();
     };
 
+    // Start a frame for the body of a loop.
+    Compiler.prototype._beginLoopFrame = function () {
+        this.loopFrames.push({
+            breakInstructions: [],
+            continueInstructions: []
+        });
+    };
+
+    // End the frame of a loop, pointing its break statements to the break address
+    // (the end of the loop) and its continue statements to the continue address.
+    Compiler.prototype._endLoopFrame = function (bytecode, continueAddress, breakAddress) {
+        var loopFrame = this.loopFrames.pop();
+
+        for (var i = 0; i < loopFrame.breakInstructions.length; i++) {
+            bytecode.setOperand2(loopFrame.breakInstructions[i], breakAddress);
+        }
+        for (var i = 0; i < loopFrame.continueInstructions.length; i++) {
+            bytecode.setOperand2(loopFrame.continueInstructions[i], continueAddress);
+        }
+    };
+
     return Compiler;
 });
@@ -0,0 +1,289 @@
+// A token filter between the lexer and the parser. It strips out comments and
+// carries out the compiler directives in them, such as "{$R+}" (switches),
+// "{$I FILE.PAS}" (include files), and "{$IFDEF X} ... {$ENDIF}" (conditional
+// compilation).
+
+'use strict';
+
+define(["Token", "PascalError"], function (Token, PascalError) {
+    // Most include files that can be nested.
+    var MAX_INCLUDE_DEPTH = 8;
+
+    // Switches of Turbo Pascal 5.5 and their defaults, by lowercase letter.
+    var DEFAULT_SWITCHES = {
+        a: true,    // Word alignment.
+        b: false,   // Complete boolean evaluation.
+        d: true,    // Debug information.
+        e: true,    // Emulation.
+        f: false,   // Force far calls.
+        i: true,    // I/O checking.
+        l: true,    // Local symbol information.
+        n: false,   // Numeric processing.
+        o: false,   // Overlay code generation.
+        q: false,   // Overflow checking (from later versions of Turbo Pascal).
+        r: false,   // Range checking.
+        s: true,    // Stack overflow checking.
+        v: true     // Var-string checking.
+    };
+
+    // Conditional symbols defined by Turbo Pascal 5.5.
+    var PREDEFINED_SYMBOLS = ["VER55", "MSDOS", "CPU86"];
+
+    var DirectiveProcessor = function (lexer) {
+        // Files being read, outermost first. Each has its "lexer" and the number
+        // of conditionals that were open when it was included ("conditionalCount"),
+        // since a conditional must end in the file it starts in.
+        this.files = [{
+            lexer: lexer,
+            conditionalCount: 0
+        }];
+
+        // Function that's given the name of an include file and returns a lexer
+        // for its source, or null if there's no such file. See setIncludeCallback().
+        this.includeCallback = null;
+
+        // Current setting of each switch, by lowercase letter. Tokens share this
+        // object, so it's replaced rather than modified when a switch changes.
+        this.switches = {};
+        for (var letter in DEFAULT_SWITCHES) {
+            if (DEFAULT_SWITCHES.hasOwnProperty(letter)) {
+                this.switches[letter] = DEFAULT_SWITCHES[letter];
+            }
+        }
+
+        // Conditional symbols that are defined, by uppercase name.
+        this.symbols = {};
+        for (var i = 0; i < PREDEFINED_SYMBOLS.length; i++) {
+            this.symbols[PREDEFINED_SYMBOLS[i]] = true;
+        }
+
+        // Open conditionals ({$IFDEF}, etc.), innermost last. Each has the "token"
+        // of its directive, whether its code is being compiled ("isActive"), whether
+        // the code around it is ("isParentActive"), and whether we've seen its
+        // {$ELSE} ("sawElse").
+        this.conditionals = [];
+
+        this.nextToken = null;
+    };
+
+    // Sets the function used to find the source of include files. It's given the
+    // name of the file and must return a lexer for its source, or null if there's
+    // no such file.
+    DirectiveProcessor.prototype.setIncludeCallback = function (includeCallback) {
+        this.includeCallback = includeCallback;
+    };
+
+    // Returns whether the switch (a letter, such as "R") is on. This is its setting
+    // as of the last token fetched.
+    DirectiveProcessor.prototype.getSwitch = function (letter) {
+        return this.switches[letter.toLowerCase()];
+    };
+
+    // Returns the next token.
+    DirectiveProcessor.prototype.next = function () {
+        var token = this.peek();
+
+        // Force the next next() or peek() to fetch another.
+        this.nextToken = null;
+
+        return token;
+    };
+
+    // Peeks at the next token.
+    DirectiveProcessor.prototype.peek = function () {
+        if (this.nextToken === null) {
+            this.nextToken = this._fetchNextToken();
+        }
+
+        return this.nextToken;
+    };
+
+    // Returns the next token to be compiled, carrying out the directives on the way.
+    DirectiveProcessor.prototype._fetchNextToken = function () {
+        while (true) {
+            var file = this.files[this.files.length - 1];
+            var token = file.lexer.next();
+
+            if (token.tokenType === Token.EOF) {
+                if (this.conditionals.length > file.conditionalCount) {
+                    throw new PascalError(this.conditionals[this.conditionals.length - 1].token,
+                                          "missing {$ENDIF}");
+                }
+                if (this.files.length === 1) {
+                    return token;
+                }
+
+                // Continue after the include directive.
+                this.files.pop();
+            } else if (token.tokenType === Token.COMMENT) {
+                if (token.value.charAt(0) === "$") {
+                    this._processDirective(token);
+                }
+            } else if (this._isActive()) {
+                token.switches = this.switches;
+                return token;
+            }
+        }
+    };
+
+    // Returns whether the code being read is compiled, rather than skipped by
+    // a conditional.
+    DirectiveProcessor.prototype._isActive = function () {
+        return this.conditionals.length === 0 ||
+            this.conditionals[this.conditionals.length - 1].isActive;
+    };
+
+    // Carries out the directive in the comment token, such as "$R+,B-" or
+    // "$DEFINE DEBUG". In code that's being skipped, only the conditionals count.
+    DirectiveProcessor.prototype._processDirective = function (token) {
+        var text = token.value.substr(1);
+
+        // Switches, such as "R+" or "R-,B+".
+        var switches = /^\s*[a-z][+-](\s*,\s*[a-z][+-])*/i.exec(text);
+        if (switches !== null) {
+            if (this._isActive()) {
+                this._setSwitches(token, switches[0]);
+            }
+            return;
+        }
+
+        // Others have a name and an optional parameter, such as "I FILE.PAS".
+        var match = /^([a-z]+)\s*(.*?)\s*$/i.exec(text);
+        if (match === null) {
+            throw new PascalError(token, "invalid directive");
+        }
+        var name = match[1].toUpperCase();
+        var parameter = match[2];
+
+        switch (name) {
+            case "IFDEF":
+            case "IFNDEF":
+                var isDefined = this.symbols.hasOwnProperty(
+                    this._getSymbolName(token, parameter));
+                this._beginConditional(token, name === "IFDEF" ? isDefined : !isDefined);
+                return;
+            case "IFOPT":
+                var option = /^([a-z])([+-])$/i.exec(parameter);
+                if (option === null || !this.switches.hasOwnProperty(option[1].toLowerCase())) {
+                    throw new PascalError(token, "expected switch, such as R+");
+                }
+                this._beginConditional(token, this.getSwitch(option[1]) === (option[2] === "+"));
+                return;
+            case "ELSE":
+                var conditional = this._getConditional(token, name);
+                if (conditional.sawElse) {
+                    throw new PascalError(token, "{$ELSE} already seen");
+                }
+                conditional.sawElse = true;
+                conditional.isActive = conditional.isParentActive && !conditional.isActive;
+                return;
+            case "ENDIF":
+                this._getConditional(token, name);
+                this.conditionals.pop();
+                return;
+        }
+
+        if (!this._isActive()) {
+            return;
+        }
+
+        switch (name) {
+            case "DEFINE":
+                this.symbols[this._getSymbolName(token, parameter)] = true;
+                break;
+            case "UNDEF":
+                delete this.symbols[this._getSymbolName(token, parameter)];
+                break;
+            case "I":
+                this._include(token, parameter);
+                break;
+            case "M":
+                // Stack and heap sizes. We don't have fixed limits, so there's
+                // nothing to do.
+                break;
+            default:
+                throw new PascalError(token, "unknown directive $" + match[1]);
+        }
+    };
+
+    // Sets the switches in the text, such as "R-,B+".
+    DirectiveProcessor.prototype._setSwitches = function (token, text) {
+        var settings = text.split(",");
+        var switches = {};
+
+        for (var letter in this.switches) {
+            if (this.switches.hasOwnProperty(letter)) {
+                switches[letter] = this.switches[letter];
+            }
+        }
+
+        for (var i = 0; i < settings.length; i++) {
+            var setting = settings[i].replace(/\s/g, "");
+            letter = setting.charAt(0).toLowerCase();
+            if (!switches.hasOwnProperty(letter)) {
+                throw new PascalError(token, "unknown switch $" + setting.charAt(0));
+            }
+            switches[letter] = setting.charAt(1) === "+";
+        }
+
+        this.switches = switches;
+    };
+
+    // Returns the name of the conditional symbol in the parameter of a directive,
+    // uppercased.
+    DirectiveProcessor.prototype._getSymbolName = function (token, parameter) {
+        if (!/^[a-z_][a-z0-9_]*$/i.test(parameter)) {
+            throw new PascalError(token, "expected conditional symbol");
+        }
+
+        return parameter.toUpperCase();
+    };
+
+    // Starts a conditional whose code is compiled if the condition is true.
+    DirectiveProcessor.prototype._beginConditional = function (token, condition) {
+        var isParentActive = this._isActive();
+
+        this.conditionals.push({
+            token: token,
+            isActive: isParentActive && condition,
+            isParentActive: isParentActive,
+            sawElse: false
+        });
+    };
+
+    // Returns the innermost conditional for an {$ELSE} or {$ENDIF} (the name of
+    // the directive). Throws if it wasn't started in this file.
+    DirectiveProcessor.prototype._getConditional = function (token, name) {
+        var file = this.files[this.files.length - 1];
+        if (this.conditionals.length === file.conditionalCount) {
+            throw new PascalError(token, "{$" + name + "} without {$IFDEF}");
+        }
+
+        return this.conditionals[this.conditionals.length - 1];
+    };
+
+    // Starts reading the include file. The extension defaults to ".PAS".
+    DirectiveProcessor.prototype._include = function (token, fileName) {
+        if (fileName === "") {
+            throw new PascalError(token, "expected include file name");
+        }
+        if (fileName.indexOf(".") === -1) {
+            fileName += ".PAS";
+        }
+        if (this.files.length > MAX_INCLUDE_DEPTH) {
+            throw new PascalError(token, "too many nested include files");
+        }
+
+        var lexer = this.includeCallback === null ? null : this.includeCallback(fileName);
+        if (lexer === null) {
+            throw new PascalError(token, "include file " + fileName + " not found");
+        }
+
+        this.files.push({
+            lexer: lexer,
+            conditionalCount: this.conditionals.length
+        });
+    };
+
+    return DirectiveProcessor;
+});
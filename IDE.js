@@ -1,8 +1,8 @@
 // Interactive Development Environment, based on Turbo Pascal 3.0.
 
-define(["Stream", "Token", "Lexer", "CommentStripper", "Parser",
+define(["Stream", "Token", "Lexer", "DirectiveProcessor", "Parser",
         "PascalError", "Compiler", "Machine", "SymbolTable", "utils", "jquery"],
-        function (Stream, Token, Lexer, CommentStripper,
+        function (Stream, Token, Lexer, DirectiveProcessor,
                   Parser, PascalError, Compiler, Machine, SymbolTable, utils, $) {
 
     // Available source files.
@@ -42,6 +42,10 @@ define(["Stream", "Token", "Lexer", "CommentStripper", "Parser",
         // The actual text of the program in memory.
         this.source = "";
 
+        // Text of the other files, by file name, for the units used by the program.
+        // Filled in by _loadFiles().
+        this.fileSources = {};
+
         // Shut down the editor when the user clicks on the "Close editor" link.
         var self = this;
         $("#closeEditor").click(function (event) {
@@ -278,13 +282,88 @@ define(["Stream", "Token", "Lexer", "CommentStripper", "Parser",
             return;
         }
 
+        // The program may use units in the other files.
+        this._loadFiles(function () {
+            self._compileAndRun();
+        });
+    };
+
+    // Loads the text of the files that haven't been loaded yet, then calls the
+    // callback. Files that can't be loaded are left out.
+    IDE.prototype._loadFiles = function (callback) {
+        var self = this;
+        var files = FILES.filter(function (file) {
+            return !self.fileSources.hasOwnProperty(file);
+        });
+
+        var loadNextFile = function () {
+            if (files.length === 0) {
+                callback();
+                return;
+            }
+
+            var file = files.shift();
+            $.ajax(file, {
+                dataType: "text",
+                isLocal: true,
+                error: function () {
+                    self.fileSources[file] = null;
+                    loadNextFile();
+                },
+                success: function (source) {
+                    self.fileSources[file] = source;
+                    loadNextFile();
+                }
+            });
+        };
+
+        loadNextFile();
+    };
+
+    // Returns a lexer for the file, or null if there's no such file. The work file
+    // may have been edited, so we use the text in memory for that one.
+    IDE.prototype._getFileLexer = function (file) {
+        file = file.toUpperCase();
+        var source = file === this.workFile ? this.source : this.fileSources[file];
+
+        return source === undefined || source === null ? null :
+            new Lexer(new Stream(source), file);
+    };
+
+    // Returns a directive processor for the lexer's tokens. Include files are
+    // looked up among our files.
+    IDE.prototype._makeDirectiveProcessor = function (lexer) {
+        var self = this;
+        var directiveProcessor = new DirectiveProcessor(lexer);
+        directiveProcessor.setIncludeCallback(function (file) {
+            return self._getFileLexer(file);
+        });
+
+        return directiveProcessor;
+    };
+
+    // Returns a lexer for the source of the unit, or null if there's no such unit.
+    // Unit "Foo" is in file "FOO.PAS".
+    IDE.prototype._getUnitLexer = function (name) {
+        var lexer = this._getFileLexer(name + ".PAS");
+
+        return lexer === null ? null : this._makeDirectiveProcessor(lexer);
+    };
+
+    // Compile and run the program in memory.
+    IDE.prototype._compileAndRun = function () {
+        var self = this;
+
         var DUMP_TREE = true;
         var DUMP_BYTECODE = true;
         var DEBUG_TRACE = false;
 
         var stream = new Stream(this.source);
-        var lexer = new CommentStripper(new Lexer(stream));
+        var lexer = this._makeDirectiveProcessor(new Lexer(stream, this.workFile));
         var parser = new Parser(lexer);
+        parser.setUnitCallback(function (name) {
+            return self._getUnitLexer(name);
+        });
 
         try {
             // Create the symbol table of built-in constants, functions, and procedures.
@@ -323,9 +402,14 @@ define(["Stream", "Token", "Lexer", "CommentStripper", "Parser",
                 $("#screen").show();
                 self.printPrompt();
             });
-            machine.setOutputCallback(function (line) {
-                self.screen.print(line);
-                self.screen.newLine();
+            machine.setOutputCallback(function (text) {
+                var lines = text.split("\n");
+                for (var i = 0; i < lines.length; i++) {
+                    if (i > 0) {
+                        self.screen.newLine();
+                    }
+                    self.screen.print(lines[i]);
+                }
             });
             machine.setInputCallback(function (callback) {
                 self.screen.addCursor();
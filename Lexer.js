@@ -4,9 +4,18 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
     // Whether to print tokens as they're read.
     var PRINT_TOKENS = false;
 
-    var Lexer = function (stream) {
+    // The file name is optional. If given, it's stored in the tokens for
+    // error messages.
+    var Lexer = function (stream, fileName) {
         this.stream = stream;
+        this.fileName = fileName || null;
         this.nextToken = null;
+
+        // Last token other than a comment, and whether we're in a type
+        // declaration part. These tell a control character like "^M" from
+        // the pointer "^" symbol.
+        this.previousToken = null;
+        this.inTypePart = false;
     };
 
     // All valid symbols.
@@ -16,7 +25,9 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
     // All reserved words.
     var RESERVED_WORDS = ["program", "var", "begin", "end", "type", "procedure", "function",
         "uses", "for", "while", "repeat", "do", "then", "if", "else", "to", "downto", "until",
-        "array", "of", "not", "record", "or", "and", "div", "mod", "const", "exit"];
+        "array", "of", "not", "record", "or", "and", "div", "mod", "const", "exit", "case",
+        "set", "in", "with", "label", "goto", "unit", "interface", "implementation",
+        "object", "constructor", "destructor", "inherited", "xor", "shl", "shr"];
     var RESERVED_WORDS_MAP = {};
     for (var i = 0; i < RESERVED_WORDS.length; i++) {
         RESERVED_WORDS_MAP[RESERVED_WORDS[i]] = true;
@@ -62,7 +73,12 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
         } while (utils.isWhitespace(ch));
 
         // Check each type of token.
-        var token = this._pickLongestToken(ch, SYMBOLS);
+        var token = null;
+        var isControlCharacter = ch === "^" && this._isControlCharacterContext() &&
+            this._isControlCharacterNext();
+        if (!isControlCharacter) {
+            token = this._pickLongestToken(ch, SYMBOLS);
+        }
         if (token !== null && token.isSymbol("(*")) {
             // Comment.
 
@@ -164,6 +180,24 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
                 token = new Token(value, Token.NUMBER);
             }
         }
+        if (token === null && ch === "$") {
+            // Hex number, such as $FF. Converted to decimal so that the rest
+            // of the compiler doesn't have to know about it.
+            var digits = this._readDigits(true);
+            if (digits === "") {
+                this._throwError("$", lineNumber, "expected hex digits");
+            }
+            if (digits.length > 8) {
+                this._throwError("$" + digits, lineNumber, "hex constant too large");
+            }
+
+            // Like Turbo Pascal, wrap values that don't fit in a LongInt.
+            var number = parseInt(digits, 16);
+            if (number > 0x7FFFFFFF) {
+                number -= 0x100000000;
+            }
+            token = new Token("" + number, Token.NUMBER);
+        }
         if (token === null && ch === "{") {
             // Comment.
 
@@ -181,26 +215,33 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
             }
             token = new Token(value, Token.COMMENT);
         }
-        if (token === null && ch === "'") {
-            // String literal.
-
-            // Skip opening quote.
-            ch = this.stream.next();
-
-            // Keep adding more characters until we're not part of this token anymore.
+        if (token === null && (ch === "'" || ch === "#" || isControlCharacter)) {
+            // String literal. It's made of quoted strings, character codes (#13,
+            // #$0D), and control characters (^M), with nothing between them,
+            // such as 'Line'#13#10.
             var value = "";
             while (true) {
-                value += ch;
-                ch = this.stream.next();
                 if (ch === "'") {
-                    // Handle double quotes.
-                    if (this.stream.peek() === "'") {
-                        // Eat next quote. First one will be added at top of loop.
-                        this.stream.next();
-                    } else {
+                    value += this._readQuotedString(lineNumber);
+                } else if (ch === "#") {
+                    value += this._readCharacterCode(lineNumber);
+                } else {
+                    // Control character. Its code is 64 less than the character's.
+                    value += String.fromCharCode(this.stream.next().toUpperCase()
+                                                 .charCodeAt(0) - 64);
+                }
+
+                // See if another part follows.
+                ch = this.stream.peek();
+                if (ch === "'" || ch === "#") {
+                    this.stream.next();
+                } else if (ch === "^") {
+                    this.stream.next();
+                    if (!this._isControlCharacterNext()) {
+                        this.stream.pushBack(ch);
                         break;
                     }
-                } else if (ch === -1) {
+                } else {
                     break;
                 }
             }
@@ -208,12 +249,22 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
         }
         if (token === null) {
             // Unknown token.
-            token = new Token(ch, Token.SYMBOL);
-            token.lineNumber = lineNumber;
-            throw new PascalError(token, "unknown symbol");
+            this._throwError(ch, lineNumber, "unknown symbol");
         }
 
         token.lineNumber = lineNumber;
+        token.fileName = this.fileName;
+
+        if (token.tokenType !== Token.COMMENT) {
+            this.previousToken = token;
+            if (token.isReservedWord("type")) {
+                this.inTypePart = true;
+            } else if (token.isReservedWord("const") || token.isReservedWord("var") ||
+                       token.isReservedWord("label") || token.isReservedWord("begin")) {
+
+                this.inTypePart = false;
+            }
+        }
 
         if (PRINT_TOKENS) {
             console.log("Fetched token \"" + token.value + "\" of type " +
@@ -223,6 +274,98 @@ define(["utils", "Token", "PascalError"], function (utils, Token, PascalError) {
         return token;
     };
 
+    // Reads the rest of a quoted string, whose opening quote has been read,
+    // and returns its characters. Two quotes in a row stand for one.
+    Lexer.prototype._readQuotedString = function (lineNumber) {
+        var value = "";
+
+        while (true) {
+            var ch = this.stream.next();
+            if (ch === -1) {
+                this._throwError("'" + value, lineNumber, "unterminated string");
+            }
+            if (ch === "'") {
+                if (this.stream.peek() !== "'") {
+                    break;
+                }
+                this.stream.next();
+            }
+            value += ch;
+        }
+
+        return value;
+    };
+
+    // Reads the rest of a character code, such as #13 or #$0D, whose "#" has
+    // been read, and returns the character.
+    Lexer.prototype._readCharacterCode = function (lineNumber) {
+        var isHex = this.stream.peek() === "$";
+        if (isHex) {
+            this.stream.next();
+        }
+
+        var digits = this._readDigits(isHex);
+        var text = "#" + (isHex ? "$" : "") + digits;
+        if (digits === "") {
+            this._throwError(text, lineNumber, "expected character code");
+        }
+
+        var code = parseInt(digits, isHex ? 16 : 10);
+        if (code > 255) {
+            this._throwError(text, lineNumber, "character code out of range");
+        }
+
+        return String.fromCharCode(code);
+    };
+
+    // Reads and returns a sequence of decimal or hex digits, possibly empty.
+    Lexer.prototype._readDigits = function (isHex) {
+        var digits = "";
+
+        while (true) {
+            var ch = this.stream.peek();
+            if (ch === -1 || !(isHex ? /[0-9a-f]/i.test(ch) : utils.isDigit(ch))) {
+                break;
+            }
+            digits += this.stream.next();
+        }
+
+        return digits;
+    };
+
+    // Whether a "^" here can start a control character. After a variable, it's
+    // the pointer dereference, and in a type, it's a pointer type.
+    Lexer.prototype._isControlCharacterContext = function () {
+        var token = this.previousToken;
+
+        return token === null || !(token.tokenType === Token.IDENTIFIER ||
+                                   token.isSymbol(")") || token.isSymbol("]") ||
+                                   token.isSymbol("^") || token.isSymbol(":") ||
+                                   (token.isSymbol("=") && this.inTypePart));
+    };
+
+    // Whether the characters after a "^" (already read) make a control character:
+    // a single letter or one of "@[\]^_", such as ^M or ^[.
+    Lexer.prototype._isControlCharacterNext = function () {
+        var ch = this.stream.next();
+        if (ch === -1) {
+            return false;
+        }
+        var nextCh = this.stream.peek();
+        this.stream.pushBack(ch);
+
+        var code = ch.toUpperCase().charCodeAt(0);
+        return code >= 64 && code <= 95 && (nextCh === -1 || !utils.isIdentifierPart(nextCh));
+    };
+
+    // Throws an error at a token made of the value.
+    Lexer.prototype._throwError = function (value, lineNumber, message) {
+        var token = new Token(value, Token.SYMBOL);
+        token.lineNumber = lineNumber;
+        token.fileName = this.fileName;
+        throw new PascalError(token, message);
+    };
+
     // Find the longest symbols in the specified list. Returns a Token or null.
     Lexer.prototype._pickLongestToken = function (ch, symbols) {
         var longestSymbol = null;
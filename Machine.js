@@ -2,7 +2,17 @@
 
 'use strict';
 
-define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
+define(["inst", "PascalError", "utils", "sets"], function (inst, PascalError, utils, sets) {
+    // Runtime error for a call through a procedural variable that's nil.
+    var INVALID_POINTER_ERROR = 204;
+
+    // Messages of the runtime errors, by code.
+    var RUNTIME_ERROR_MESSAGES = {
+        201: "Range check error",
+        204: "Invalid pointer operation",
+        215: "Arithmetic overflow error"
+    };
+
     var Machine = function (bytecode, keyboard) {
         this.bytecode = bytecode;
         this.keyboard = keyboard;
@@ -50,14 +60,19 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
         // is passed the number of seconds that the program ran.
         this.finishCallback = null;
 
-        // Callback that standard output is sent to. This is called once per
-        // line of output, and the line is the only parameter.
+        // Callback that standard output is sent to. The text is the only
+        // parameter. It doesn't necessarily end a line, and lines within it
+        // are separated by "\n".
         this.outputCallback = null;
 
         // Callback that gets a line of input from the user. It is called with
         // a function that will be called with the line of input.
         this.inputCallback = null;
 
+        // Input that was entered but not yet consumed by Read() or ReadLn(). Lines
+        // end with "\r\n", like in a Turbo Pascal text file.
+        this.inputBuffer = "";
+
         // The number of ms that the program is expecting us to delay now.
         this.pendingDelay = 0;
 
@@ -72,20 +87,27 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
             suspend: function () {
                 self.state = Machine.STATE_SUSPENDED;
             },
-            // Resume the machine (un-suspend).
+            // Resume the machine (un-suspend). Does nothing if the program
+            // was stopped while suspended.
             resume: function () {
-                self.resume();
+                if (self.state === Machine.STATE_SUSPENDED) {
+                    self.resume();
+                }
             },
             // Wait "ms" milliseconds.
             delay: function (ms) {
                 self.pendingDelay = ms;
             },
-            // Write the line to the output.
-            writeln: function (line) {
+            // Write the text to the output, continuing the current line.
+            write: function (text) {
                 if (self.outputCallback !== null) {
-                    self.outputCallback(line);
+                    self.outputCallback(text);
                 }
             },
+            // Write the text to the output and end the line.
+            writeln: function (line) {
+                this.write(line + "\n");
+            },
             // Read a line from the user. The parameter is a function that
             // will be called with the line. The machine must first be suspended.
             readln: function (callback) {
@@ -95,6 +117,18 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                     callback("no input");
                 }
             },
+            // Get the input that hasn't been consumed yet.
+            getInputBuffer: function () {
+                return self.inputBuffer;
+            },
+            // Replace the input that hasn't been consumed yet.
+            setInputBuffer: function (text) {
+                self.inputBuffer = text;
+            },
+            // Stop the program with a numbered runtime error.
+            runtimeError: function (code, message) {
+                self._runtimeError(code, message);
+            },
             // Read a value from memory.
             readDstore: function (address) {
                 return self.dstore[address];
@@ -212,7 +246,7 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
     };
 
     // Set a callback for standard output. The callback is called with a string to
-    // write.
+    // write, which can contain newlines ("\n").
     Machine.prototype.setOutputCallback = function (outputCallback) {
         this.outputCallback = outputCallback;
     };
@@ -299,6 +333,7 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
         this.mp = 0;
         this.np = this.dstore.length;
         this.ep = 0;
+        this.inputBuffer = "";
         this.state = Machine.STATE_STOPPED;
     };
 
@@ -327,6 +362,23 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
         }
     };
 
+    // Report a runtime error the way Turbo Pascal does, such as
+    // "Runtime error 106: Invalid numeric format.", and stop the program. If
+    // the instruction being executed knows its source code, the line is included.
+    Machine.prototype._runtimeError = function (code, message) {
+        var token = this.bytecode.tokens[this.pc - 1];
+        var location = "";
+        if (token) {
+            location = " at line " + token.lineNumber +
+                (token.fileName ? " of " + token.fileName : "");
+        }
+
+        if (this.outputCallback !== null) {
+            this.outputCallback("Runtime error " + code + location + ": " + message + ".\n");
+        }
+        this.stopProgram();
+    };
+
     // Execute the next instruction.
     Machine.prototype._executeInstruction = function () {
         // Get this instruction.
@@ -353,6 +405,19 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 // Jump to the procedure.
                 this.pc = operand2;
                 break;
+            case inst.CUI:
+                // Call User procedure Indirect. Like CUP, but the address of the
+                // procedure is on the stack, above the mark and the parameters.
+                var address = this._pop();
+                if (address === 0) {
+                    this._runtimeError(INVALID_POINTER_ERROR,
+                                       RUNTIME_ERROR_MESSAGES[INVALID_POINTER_ERROR]);
+                    break;
+                }
+                this.mp = this.sp - operand1 - inst.MARK_SIZE;
+                this.dstore[this.mp + 4] = this.pc;
+                this.pc = address;
+                break;
             case inst.CSP:
                 // Call System Procedure. We look up the index into the Native object
                 // and call it.
@@ -431,13 +496,21 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 // Equal To.
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 === op2);
+                if (operand1 === inst.T) {
+                    this._push(sets.equals(op1, op2));
+                } else {
+                    this._push(op1 === op2);
+                }
                 break;
             case inst.NEQ:
                 // Not Equal To.
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 !== op2);
+                if (operand1 === inst.T) {
+                    this._push(!sets.equals(op1, op2));
+                } else {
+                    this._push(op1 !== op2);
+                }
                 break;
             case inst.GRT:
                 // Greater Than.
@@ -446,10 +519,14 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 this._push(op1 > op2);
                 break;
             case inst.GEQ:
-                // Greater Than Or Equal To.
+                // Greater Than Or Equal To. For sets, whether op1 is a superset of op2.
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 >= op2);
+                if (operand1 === inst.T) {
+                    this._push(sets.isSubset(op2, op1));
+                } else {
+                    this._push(op1 >= op2);
+                }
                 break;
             case inst.LES:
                 // Less Than.
@@ -458,14 +535,19 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 this._push(op1 < op2);
                 break;
             case inst.LEQ:
-                // Less Than Or Equal To.
+                // Less Than Or Equal To. For sets, whether op1 is a subset of op2.
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 <= op2);
+                if (operand1 === inst.T) {
+                    this._push(sets.isSubset(op1, op2));
+                } else {
+                    this._push(op1 <= op2);
+                }
                 break;
             case inst.ADI:
             case inst.ADR:
-                // Add integer/real.
+                // Add integer/real. Also concatenates strings, since they're
+                // JavaScript strings.
                 var op2 = this._pop();
                 var op1 = this._pop();
                 this._push(op1 + op2);
@@ -529,32 +611,134 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
             // case inst.ABR:
             // case inst.SQR:
             case inst.IOR:
-                // Inclusive OR.
+                // Inclusive OR. Bitwise on integers, logical otherwise.
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 || op2);
+                this._push(operand1 === inst.I ? op1 | op2 : op1 || op2);
                 break;
             case inst.AND:
                 // AND
                 var op2 = this._pop();
                 var op1 = this._pop();
-                this._push(op1 && op2);
+                this._push(operand1 === inst.I ? op1 & op2 : op1 && op2);
+                break;
+            case inst.XOR:
+                // Exclusive OR.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                this._push(operand1 === inst.I ? op1 ^ op2 : op1 !== op2);
                 break;
-            // case inst.XOR:
             case inst.NOT:
-                this._push(!this._pop());
-                break;
-            // case inst.INN:
-            // case inst.UNI:
-            // case inst.INT:
-            // case inst.DIF:
-            // case inst.CMP:
-            // case inst.SGS:
+                this._push(operand1 === inst.I ? ~this._pop() : !this._pop());
+                break;
+            case inst.SHL:
+                // Shift left.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                this._push(op1 << op2);
+                break;
+            case inst.SHR:
+                // Shift right a value of operand1 bits. Zeros are shifted in,
+                // even for negative numbers.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                if (operand1 < 32) {
+                    op1 &= Math.pow(2, operand1) - 1;
+                }
+                this._push((op1 >>> op2) | 0);
+                break;
+            case inst.WRP:
+                // Wrap an integer around to the range of an integer type with
+                // operand1 bits, signed if operand2 is 1.
+                var range = Math.pow(2, operand1);
+                var value = this._pop() % range;
+                if (value < 0) {
+                    value += range;
+                }
+                if (operand2 === 1 && value >= range / 2) {
+                    value -= range;
+                }
+                this._push(value);
+                break;
+            case inst.CHK:
+                // Check that the integer on top of the stack is in the range of
+                // the constant, an array of the low and high bounds. The value
+                // is left on the stack.
+                var range = this.bytecode.constants[operand2];
+                var value = this.dstore[this.sp - 1];
+                if (value < range[0] || value > range[1]) {
+                    this._runtimeError(operand1, RUNTIME_ERROR_MESSAGES[operand1]);
+                }
+                break;
+            case inst.CHB:
+                // Check that the integer under the top of the stack is in the range
+                // zero to the bound on top of the stack. The bound is popped and the
+                // value is left on the stack.
+                var bound = this._pop();
+                var value = this.dstore[this.sp - 1];
+                if (value < 0 || value > bound) {
+                    this._runtimeError(operand1, RUNTIME_ERROR_MESSAGES[operand1]);
+                }
+                break;
+            case inst.CPA:
+                // Copy the open array onto the top of the stack. On the stack is the
+                // address of the parameter, which holds the address of the array and
+                // then its highest index. The parameter is pointed at the copy.
+                var parameter = this._pop();
+                var source = this.dstore[parameter];
+                var size = (this.dstore[parameter + 1] + 1)*operand2;
+                for (var i = 0; i < size; i++) {
+                    this.dstore[this.sp + i] = this.dstore[source + i];
+                }
+                this.dstore[parameter] = this.sp;
+                this.sp += size;
+                break;
+            case inst.UPC:
+                // Convert a character to upper case.
+                this._push(utils.upCase(this._pop()));
+                break;
+            case inst.INN:
+                // Set membership. The set is on top of the element.
+                var set = this._pop();
+                var element = this._pop();
+                this._push(sets.contains(set, element));
+                break;
+            case inst.UNI:
+                // Set union.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                this._push(sets.union(op1, op2));
+                break;
+            case inst.INT:
+                // Set intersection.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                this._push(sets.intersection(op1, op2));
+                break;
+            case inst.DIF:
+                // Set difference.
+                var op2 = this._pop();
+                var op1 = this._pop();
+                this._push(sets.difference(op1, op2));
+                break;
+            case inst.CMP:
+                // Set complement.
+                this._push(sets.complement(this._pop()));
+                break;
+            case inst.SGS:
+                // Generate singleton set. If operand1 is 1, generate the set of
+                // the range between the top two elements instead.
+                var high = this._pop();
+                var low = operand1 === 1 ? this._pop() : high;
+                this._push(sets.makeRange(low, high));
+                break;
             case inst.UJP:
                 this.pc = operand2;
                 break;
             case inst.XJP:
-                this.pc = this._pop();
+                // Indexed Jump. Operand2 is the address of a table of jumps, and
+                // the top of the stack is the index into that table.
+                this.pc = operand2 + this._pop();
                 break;
             case inst.FJP:
                 if (!this._pop()) {
@@ -571,10 +755,29 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 // Nothing to do, we don't distinguish between integers and real.
                 break;
             // case inst.FLO:
-            // case inst.TRC:
-            // case inst.RND:
-            // case inst.CHR:
-            // case inst.ORD:
+            case inst.TRC:
+                // Truncate Real to Integer.
+                this._push(utils.trunc(this._pop()));
+                break;
+            case inst.RND:
+                // Round Real to Integer.
+                this._push(utils.round(this._pop()));
+                break;
+            case inst.CHR:
+                // Convert an integer to a character, which is stored as a string.
+                this._push(String.fromCharCode(this._pop()));
+                break;
+            case inst.ORD:
+                // Convert an ordinal value to an integer. Characters are stored
+                // as strings and booleans as JavaScript booleans.
+                var value = this._pop();
+                if (typeof(value) === "string") {
+                    value = value.charCodeAt(0);
+                } else if (typeof(value) === "boolean") {
+                    value = value ? 1 : 0;
+                }
+                this._push(value);
+                break;
             case inst.STP:
                 // Stop.
                 this.stopProgram();
@@ -584,10 +787,16 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 var address = this._computeAddress(operand1, operand2);
                 this._push(address);
                 break;
+            case inst.LPA:
+                // Load Procedure Address. Pushes the address of the first
+                // instruction of a procedure or function.
+                this._push(operand2);
+                break;
             case inst.LDC:
                 // Load Constant.
                 if (operand1 === inst.I || operand1 === inst.R ||
-                    operand1 === inst.S || operand1 === inst.A) {
+                    operand1 === inst.S || operand1 === inst.A ||
+                    operand1 === inst.T) {
 
                     // Look up the constant in the constant pool.
                     this._push(this.bytecode.constants[operand2]);
@@ -613,12 +822,12 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
             case inst.LVC:
             case inst.LVI:
             case inst.LVR:
+            case inst.LVS:
                 // Load Value.
                 var address = this._computeAddress(operand1, operand2);
                 this._checkDataAddress(address);
                 this._push(this.dstore[address]);
                 break;
-            // case inst.LVS:
             case inst.STI:
                 // Store Indirect.
                 var value = this._pop();
@@ -633,6 +842,21 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
                 address += index*operand2;
                 this._push(address);
                 break;
+            case inst.LCS:
+                // Load Character of String. The index is on top of the string.
+                var index = this._pop();
+                var s = this._pop();
+                this._push(this._getStringCharacter(s, index));
+                break;
+            case inst.SCS:
+                // Store Character into String. Pops the character, the index,
+                // and the address of the string.
+                var ch = this._pop();
+                var index = this._pop();
+                var address = this._pop();
+                this._checkDataAddress(address);
+                this.dstore[address] = this._setStringCharacter(this.dstore[address], index, ch);
+                break;
             default:
                 throw new PascalError(null, "don't know how to execute instruction " +
                                      inst.opcodeToName[opcode]);
@@ -652,6 +876,36 @@ define(["inst", "PascalError", "utils"], function (inst, PascalError, utils) {
         return mp + offset;
     };
 
+    // Returns the character of the string at the (1-based) index. Like in Turbo
+    // Pascal, index 0 is the length of the string as a character.
+    Machine.prototype._getStringCharacter = function (s, index) {
+        if (index === 0) {
+            return String.fromCharCode(s.length);
+        } else if (index >= 1 && index <= s.length) {
+            return s.charAt(index - 1);
+        } else {
+            // Turbo Pascal would return whatever was left in memory past the end.
+            return String.fromCharCode(0);
+        }
+    };
+
+    // Returns a copy of the string with the character at the (1-based) index
+    // replaced. Storing into index 0 sets the length of the string, padding it
+    // with spaces if it grows. Storing past the end has no effect.
+    Machine.prototype._setStringCharacter = function (s, index, ch) {
+        if (index === 0) {
+            var length = ch.charCodeAt(0);
+            s = s.substr(0, length);
+            while (s.length < length) {
+                s += " ";
+            }
+        } else if (index >= 1 && index <= s.length) {
+            s = s.substr(0, index - 1) + ch + s.substr(index);
+        }
+
+        return s;
+    };
+
     // Allocate "size" words on the heap and return the new address. Throws if no
     // more heap is available.
     Machine.prototype._malloc = function (size) {
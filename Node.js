@@ -2,7 +2,8 @@
 
 'use strict';
 
-define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, Token, utils) {
+define(["inst", "PascalError", "Token", "utils", "sets"],
+       function (inst, PascalError, Token, utils, sets) {
     var Node = function (nodeType, token, additionalFields) {
         // The type of node (e.g., Node.PROGRAM), see below.
         this.nodeType = nodeType;
@@ -39,6 +40,8 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     //     name: name of program, procedure, or function (identifier).
     //     declarations: functions, procedures, var, const, uses, etc.
     //     block: block.
+    //     units: (program only) UNIT nodes of the units used by the program, directly
+    //         or by other units, in the order they must be initialized.
     Node.PROGRAM = 10;
     Node.PROCEDURE = 11;
     Node.FUNCTION = 12;
@@ -47,6 +50,14 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     //     name: module name (identifier).
     Node.USES = 13;
 
+    // User-defined unit. Its variables live in the program's frame.
+    //     name: name of unit (identifier).
+    //     declarations: declarations of the interface and implementation sections.
+    //     block: initialization section (BLOCK, empty if there isn't one).
+    //     exports: symbols and types of the interface section (see
+    //         SymbolTable.getExports()), or null while it's being parsed.
+    Node.UNIT = 36;
+
     // Var declaration.
     //     name: variable name (identifier).
     //     type: variable type.
@@ -63,8 +74,13 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
 
     // Function and procedure parameter.
     //     name: parameter name (identifier).
-    //     type: type.
-    //     byReference: whether this parameter is by reference.
+    //     type: type, or voidType for untyped var and const parameters.
+    //     byReference: whether the argument's address is passed rather than its value.
+    //         True for var parameters, open arrays, and const parameters that are
+    //         structured or untyped.
+    //     isConst: whether the parameter can't be modified. True for const parameters.
+    //     isCopied: whether the procedure copies the argument on entry. True for
+    //         open arrays passed by value, whose address is passed.
     Node.PARAMETER = 17;
 
     // Cast expression to type.
@@ -128,11 +144,31 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     //     rawData: a RawData object.
     Node.TYPED_CONST = 28;
 
+    // Label declaration.
+    //     name: label name (identifier or number).
+    Node.LABEL = 29;
+
+    // Forward declaration of a procedure or function, whose body comes later.
+    //     name: name of procedure or function (identifier).
+    //     subprogramType: Node.PROCEDURE or Node.FUNCTION.
+    Node.FORWARD = 35;
+
     // Unary operators.
     //     expression: expression to act on.
     Node.NOT = 30;
     Node.NEGATIVE = 31;
 
+    // Intrinsic functions, compiled inline. Calls with constant arguments are
+    // replaced by their values instead.
+    //     expression: expression to act on.
+    Node.ORD = 32;
+    Node.SUCC = 33;
+    Node.PRED = 34;
+    Node.CHR = 89;
+    Node.UPCASE = 37;
+    Node.TRUNC = 38;
+    Node.ROUND = 39;
+
     // Binary operators. Children are lhs and rhs.
     Node.ADDITION = 40;
     Node.SUBTRACTION = 41;
@@ -148,6 +184,12 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     Node.OR = 51;
     Node.INTEGER_DIVISION = 52;
     Node.MOD = 53;
+    Node.XOR = 56;
+    Node.SHL = 57;
+    Node.SHR = 58;
+
+    // Set membership (lhs in rhs). The lhs is an ordinal and the rhs is a set.
+    Node.IN = 55;
 
     // Field designator (expression.fieldName).
     //     variable: the part before the dot, which evaluates to a record type.
@@ -169,16 +211,60 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     //     type: aliased type.
     Node.TYPE = 62;
 
-    // Address-of (@) operator.
+    // Address-of (@) operator, or Addr(). The result is an untyped pointer.
     //     variable: variable to take the address of.
-    Node.ADDRESS_OF = 63
+    Node.ADDRESS_OF = 63;
 
     // Dereference of a pointer (^).
     //     variable: variable to dereference.
+    //     isConst: for the record of a with statement, whether it's a read-only
+    //         parameter (see Parser._isReadOnly).
     Node.DEREFERENCE = 64;
 
+    // Value typecast, such as "Integer(ch)" or "PNode(p)". The token is the type's
+    // name and the expressionType is the type.
+    //     expression: value to reinterpret.
+    Node.TYPECAST = 85;
+
+    // Set constructor, such as "[1, 3..5, ch]".
+    //     elements: expressions and RANGE nodes, all of the same ordinal type.
+    Node.SET = 65;
+
+    // Character of a string (s[i]).
+    //     variable: expression that evaluates to a string.
+    //     index: integer expression. The first character is at 1, and 0 is the length.
+    Node.STRING_INDEX = 66;
+
+    // Address of a procedure or function, used as the value of a procedural type.
+    //     name: name of the procedure or function (identifier).
+    Node.ROUTINE = 67;
+
+    // Call to a method of an object. The object is passed by reference as the
+    // first parameter (Self).
+    //     object: the object (expression of an OBJECT_TYPE).
+    //     method: METHOD node.
+    //     argumentList: arguments (expressions), not including the object.
+    //     isStatic: whether to call this method even if it's virtual ("inherited").
+    //     objectSymbol: temporary variable holding the address of the object, for
+    //         calls that need it more than once, or null.
+    Node.METHOD_CALL = 68;
+
+    // Method of an object type. Descendants share the node unless they override it.
+    //     name: name of the method (identifier).
+    //     kind: "procedure", "function", "constructor", or "destructor".
+    //     objectType: the OBJECT_TYPE that declared the method.
+    //     isVirtual: whether the method is called through the VMT.
+    //     vmtIndex: index of the method in the VMT, or -1 if it's not virtual.
+    //     symbol: symbol whose address is the address of the method's code.
+    //     expressionType: SUBPROGRAM_TYPE, not including the Self parameter.
+    Node.METHOD = 69;
+
     // Simple type.
     //     typeCode: one of inst.A, inst.B, inst.C, inst.I, inst.R, or inst.S.
+    //     name: (inst.I only) name of the integer type (identifier), such as Word.
+    //     low, high: (inst.I and inst.C only) range of values. Arithmetic wraps
+    //         around to this range. For characters, these are ordinal values, and
+    //         subranges such as 'a'..'z' have narrower ones than Char.
     //     typeName: (inst.A only) name of the type being pointed to. This must be a name
     //         and not a type because we can point to ourselves or have
     //         mutually-referring types.
@@ -188,15 +274,36 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
 
     // Enumerated type.
     //     entries: each entry (identifier).
+    //     low, high: ordinal values of the type's first and last values.
+    //     hostType: for subranges such as Red..Green, the enumerated type whose
+    //         values they take, with the same entries. Null otherwise.
     Node.ENUM_TYPE = 71;
 
+    // Object type. Objects are laid out like records, starting with the fields
+    // of the parent type. Objects with virtual methods also have a field with
+    // the address of their type's VMT (virtual method table), which is set by
+    // the constructor.
+    //     name: name of the type (identifier).
+    //     parentType: OBJECT_TYPE inherited from, or null.
+    //     fields: FIELD nodes, including inherited ones.
+    //     variantPart: always null, so that objects can be used like records.
+    //     methods: METHOD nodes, including inherited ones.
+    //     vmt: virtual METHOD nodes, by VMT index.
+    //     vmtOffset: offset of the VMT field, or -1 if there are no virtual methods.
+    //     size: size of an object, in words.
+    Node.OBJECT_TYPE = 72;
+
     // Record type.
-    //     fields: FIELD nodes.
+    //     fields: FIELD nodes, not including those of the variant part.
+    //     variantPart: VARIANT_PART node, or null if the record has no variants.
     Node.RECORD_TYPE = 73;
 
     // Array type.
     //     elementType: element type.
     //     ranges: RANGE nodes.
+    //     isOpen: whether it's the type of an open array parameter, such as
+    //         "array of Integer". Its one range starts at 0 and has a null high
+    //         bound, since that comes with each argument.
     Node.ARRAY_TYPE = 74;
 
     // Set type.
@@ -209,6 +316,69 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     //     returnType: return type (SIMPLE_TYPE inst.P if not function).
     Node.SUBPROGRAM_TYPE = 76;
 
+    // Procedural type, such as "function (x: Real): Real". Values are the addresses
+    // of procedures and functions with the same parameters and return type.
+    //     parameters: parameters (Node.PARAMETER). Only their types matter.
+    //     returnType: return type (SIMPLE_TYPE inst.P if procedure).
+    Node.PROCEDURAL_TYPE = 79;
+
+    // Variant part of a record, such as "case kind : Shape of ...". The variants
+    // all start at the same offset, so their fields overlap.
+    //     tagField: FIELD node of the tag, or null if the variants have no tag field.
+    //     tagType: type of the tag (ordinal type).
+    //     offset: offset of the variants from the base of the record.
+    //     variants: VARIANT nodes.
+    Node.VARIANT_PART = 77;
+
+    // One variant of a record's variant part.
+    //     labels: constant expressions of the tag values that select this variant.
+    //     fields: FIELD nodes, not including those of the nested variant part.
+    //     variantPart: nested VARIANT_PART node, or null.
+    Node.VARIANT = 78;
+
+    // Case statement.
+    //     expression: selector expression (of an ordinal type).
+    //     arms: CASE_ARM nodes.
+    //     elseStatement: block for the "else" (or "otherwise") part, or null.
+    //     selectorSymbol: temporary variable holding the ordinal value of the selector.
+    Node.CASE = 80;
+
+    // Arm of a case statement.
+    //     labels: constant expressions and RANGE nodes that select this arm.
+    //     statement: statement to execute.
+    Node.CASE_ARM = 81;
+
+    // With statement. Multiple records ("with a, b do") are nested WITH nodes.
+    //     variable: the record (variable of a RECORD_TYPE).
+    //     statement: statement in which the record's fields can be used by name.
+    //     recordSymbol: temporary variable holding the address of the record.
+    Node.WITH = 82;
+
+    // Statement prefixed by a label, such as "10: x := 5".
+    //     label: the label's Symbol (see SymbolTable.addLabel).
+    //     statement: the statement.
+    //     path: numbers of the statements that enclose this one (see Parser.statementPath).
+    Node.LABELED_STATEMENT = 83;
+
+    // Goto statement.
+    //     label: the label's Symbol (see SymbolTable.addLabel).
+    //     path: numbers of the statements that enclose this one (see Parser.statementPath).
+    Node.GOTO = 84;
+
+    // Break out of the innermost loop.
+    //     No additional fields.
+    Node.BREAK = 86;
+
+    // Continue with the next iteration of the innermost loop.
+    //     No additional fields.
+    Node.CONTINUE = 87;
+
+    // Argument for an open array parameter. It's passed as the address of the
+    // array followed by its highest index.
+    //     variable: the array.
+    //     high: the highest index, counting from 0.
+    Node.OPEN_ARRAY_ARGUMENT = 88;
+
     // Set the symbol table for this program, procedure, or function.
     Node.prototype.setSymbolTable = function (symbolTable) {
         this.symbolTable = symbolTable;
@@ -228,6 +398,78 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
              this.typeCode == inst.R);
     };
 
+    // Returns whether the type is ordinal (integer, character, boolean, or
+    // enumerated). These can be used as case selectors and array indices.
+    Node.prototype.isOrdinalType = function () {
+        return this !== null &&
+            (this.nodeType === Node.ENUM_TYPE ||
+             (this.nodeType === Node.SIMPLE_TYPE &&
+              (this.typeCode == inst.B ||
+               this.typeCode == inst.C ||
+               this.typeCode == inst.I)));
+    };
+
+    // Given two integer types, returns whether all values of the other fit in
+    // this one.
+    Node.prototype.includesIntegerType = function (other) {
+        return this.low <= other.low && other.high <= this.high;
+    };
+
+    // Returns whether both types are ordinal and values of one can be used where
+    // the other is expected. Enumerated types are only compatible with themselves.
+    Node.prototype.isSameOrdinalType = function (other) {
+        return this.isOrdinalType() && other.isOrdinalType() &&
+            this.nodeType === other.nodeType &&
+            this.getSimpleTypeCode() === other.getSimpleTypeCode() &&
+            (this.nodeType !== Node.ENUM_TYPE || this.getHostType() === other.getHostType());
+    };
+
+    // Returns whether the two types are the same, such as the types of a parameter
+    // in a forward declaration and in the procedure's body. Separately-declared
+    // pointer types are the same if they point to the same type.
+    Node.prototype.isSameType = function (other) {
+        return this === other ||
+            (this.nodeType === Node.SIMPLE_TYPE && other.nodeType === Node.SIMPLE_TYPE &&
+             this.typeCode === other.typeCode &&
+             (this.typeCode !== inst.A || this.type === other.type) &&
+             ((this.typeCode !== inst.I && this.typeCode !== inst.C) ||
+              (this.low === other.low && this.high === other.high))) ||
+            (this.nodeType === Node.PROCEDURAL_TYPE &&
+             other.nodeType === Node.PROCEDURAL_TYPE && this.isSameSignature(other)) ||
+            (this.isOpenArrayType() && other.isOpenArrayType() &&
+             this.elementType.isSameType(other.elementType));
+    };
+
+    // Given two SUBPROGRAM_TYPE or PROCEDURAL_TYPE nodes, returns whether they
+    // have the same parameters and return type. Parameter names don't matter.
+    Node.prototype.isSameSignature = function (other) {
+        if (this.parameters.length !== other.parameters.length ||
+            !this.returnType.isSameType(other.returnType)) {
+
+            return false;
+        }
+
+        for (var i = 0; i < this.parameters.length; i++) {
+            var parameter = this.parameters[i];
+            var otherParameter = other.parameters[i];
+
+            if (parameter.byReference !== otherParameter.byReference ||
+                parameter.isConst !== otherParameter.isConst ||
+                parameter.isCopied !== otherParameter.isCopied ||
+                !parameter.type.isSameType(otherParameter.type)) {
+
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    // Returns whether the type is that of an open array parameter.
+    Node.prototype.isOpenArrayType = function () {
+        return this.nodeType === Node.ARRAY_TYPE && this.isOpen;
+    };
+
     // Returns whether the type is boolean.
     Node.prototype.isBooleanType = function () {
         return this !== null &&
@@ -235,6 +477,20 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             this.typeCode == inst.B;
     };
 
+    // Given an ENUM_TYPE, returns the enumerated type that it's a subrange of, or
+    // the type itself if it's not a subrange.
+    Node.prototype.getHostType = function () {
+        return this.hostType !== null ? this.hostType : this;
+    };
+
+    // Returns whether the type is that of nil, a pointer without a type name
+    // (see builtin.js). The generic Pointer type isn't nil.
+    Node.prototype.isNilType = function () {
+        return this.nodeType === Node.SIMPLE_TYPE &&
+            this.typeCode === inst.A &&
+            this.typeName === null;
+    };
+
     // Returns whether the type is void (procedure return type).
     Node.prototype.isVoidType = function () {
         return this !== null &&
@@ -274,28 +530,38 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
         }
     };
 
-    // Given a SIMPLE_TYPE node, returns the type code.
+    // Given a SIMPLE_TYPE node, returns the type code. Enumerated types are
+    // stored as integers, so their type code is inst.I. Sets fit in a single
+    // word and have type code inst.T. Procedural values are code addresses.
     Node.prototype.getSimpleTypeCode = function () {
         if (this.nodeType === Node.SIMPLE_TYPE) {
             return this.typeCode;
+        } else if (this.nodeType === Node.ENUM_TYPE) {
+            return inst.I;
+        } else if (this.nodeType === Node.SET_TYPE) {
+            return inst.T;
+        } else if (this.nodeType === Node.PROCEDURAL_TYPE) {
+            return inst.A;
         } else {
             throw new PascalError(this.token, "expected a simple type");
         }
     };
 
-    // Given a RANGE node, returns the lower bound as a number.
+    // Given a RANGE node, returns the lower bound as a number. For ranges of
+    // characters and enumerated values, this is the ordinal value.
     Node.prototype.getRangeLowBound = function () {
         if (this.nodeType === Node.RANGE) {
-            return this.low.getNumber();
+            return this.low.getOrdinalValue();
         } else {
             throw new PascalError(this.token, "expected a range");
         }
     };
 
-    // Given a RANGE node, returns the high bound as a number.
+    // Given a RANGE node, returns the high bound as a number. For ranges of
+    // characters and enumerated values, this is the ordinal value.
     Node.prototype.getRangeHighBound = function () {
         if (this.nodeType === Node.RANGE) {
-            return this.high.getNumber();
+            return this.high.getOrdinalValue();
         } else {
             throw new PascalError(this.token, "expected a range");
         }
@@ -304,15 +570,41 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     // Given a RANGE node, returns the size (high minus low plus 1).
     Node.prototype.getRangeSize = function () {
         if (this.nodeType === Node.RANGE) {
-            return this.high.getNumber() - this.low.getNumber() + 1;
+            return this.getRangeHighBound() - this.getRangeLowBound() + 1;
         } else {
             throw new PascalError(this.token, "expected a range");
         }
     };
 
-    // Given a RECORD_TYPE node, returns the FIELD node for the given token.
+    // Given an ordinal type, returns the ordinal value of its lowest value.
+    Node.prototype.getTypeLowBound = function () {
+        if (this.nodeType === Node.ENUM_TYPE ||
+            this.isSimpleType(inst.I) || this.isSimpleType(inst.C)) {
+
+            return this.low;
+        } else if (this.isSimpleType(inst.B)) {
+            return 0;
+        } else {
+            throw new PascalError(this.token, "expected an ordinal type");
+        }
+    };
+
+    // Given an ordinal type, returns the ordinal value of its highest value.
+    Node.prototype.getTypeHighBound = function () {
+        if (this.nodeType === Node.ENUM_TYPE ||
+            this.isSimpleType(inst.I) || this.isSimpleType(inst.C)) {
+
+            return this.high;
+        } else if (this.isSimpleType(inst.B)) {
+            return 1;
+        } else {
+            throw new PascalError(this.token, "expected an ordinal type");
+        }
+    };
+
+    // Given a RECORD_TYPE or OBJECT_TYPE node, returns the FIELD node for the given token.
     Node.prototype.getField = function (fieldToken) {
-        if (this.nodeType !== Node.RECORD_TYPE) {
+        if (this.nodeType !== Node.RECORD_TYPE && this.nodeType !== Node.OBJECT_TYPE) {
             throw new PascalError(this.token, "expected a record");
         }
 
@@ -320,6 +612,17 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             throw new PascalError(fieldToken, "expected a field name");
         }
 
+        var field = this.findField(fieldToken);
+        if (field === null) {
+            throw new PascalError(fieldToken, "field not found in record");
+        }
+
+        return field;
+    };
+
+    // Returns the field of this record type (or variant) with the token's name,
+    // including those of the variant part, or null if there's no such field.
+    Node.prototype.findField = function (fieldToken) {
         // We could use a dictionary for this instead of a linear lookup, but
         // it's not worth the complexity.
         for (var i = 0; i < this.fields.length; i++) {
@@ -329,11 +632,107 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             }
         }
 
-        throw new PascalError(fieldToken, "field not found in record");
+        var variantPart = this.variantPart;
+        if (variantPart !== null) {
+            var tagField = variantPart.tagField;
+            if (tagField !== null && tagField.name.token.isEqualTo(fieldToken)) {
+                return tagField;
+            }
+
+            for (var i = 0; i < variantPart.variants.length; i++) {
+                var field = variantPart.variants[i].findField(fieldToken);
+                if (field !== null) {
+                    return field;
+                }
+            }
+        }
+
+        return null;
+    };
+
+    // Returns the method of this object type with the token's name, or null if
+    // there's no such method.
+    Node.prototype.findMethod = function (nameToken) {
+        var name = nameToken.value.toLowerCase();
+
+        for (var i = 0; i < this.methods.length; i++) {
+            var method = this.methods[i];
+            if (method.name.token.value.toLowerCase() === name) {
+                return method;
+            }
+        }
+
+        return null;
+    };
+
+    // Returns whether this object type is the other one or inherits from it.
+    Node.prototype.isDescendantOf = function (other) {
+        for (var type = this; type !== null; type = type.parentType) {
+            if (type === other) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    // Given a RECORD_TYPE or VARIANT node, returns the offset just past its last
+    // field. The tags are constant nodes that select variants (outermost first),
+    // as in "New(p, tag)". Variants that aren't selected by a tag all count, so
+    // with no tags this is the size of the whole record.
+    Node.prototype.getVariantSize = function (tags) {
+        var size = 0;
+
+        for (var i = 0; i < this.fields.length; i++) {
+            var field = this.fields[i];
+            size = Math.max(size, field.offset + field.type.getTypeSize());
+        }
+
+        var variantPart = this.variantPart;
+        if (variantPart === null) {
+            if (tags.length > 0) {
+                throw new PascalError(tags[0].token, "no variant part for this tag");
+            }
+        } else {
+            size = Math.max(size, variantPart.offset);
+
+            for (var i = 0; i < variantPart.variants.length; i++) {
+                var variant = variantPart.variants[i];
+                if (tags.length === 0) {
+                    size = Math.max(size, variant.getVariantSize(tags));
+                } else if (variant.hasVariantLabel(tags[0], variantPart.tagType)) {
+                    return Math.max(size, variant.getVariantSize(tags.slice(1)));
+                }
+            }
+
+            if (tags.length > 0) {
+                throw new PascalError(tags[0].token, "no variant for this tag");
+            }
+        }
+
+        return size;
+    };
+
+    // Given a VARIANT node, returns whether the tag (a constant node of the tag
+    // type) selects it.
+    Node.prototype.hasVariantLabel = function (tag, tagType) {
+        if (!tag.isConstant() || !tag.expressionType.isSameOrdinalType(tagType)) {
+            throw new PascalError(tag.token, "expected a constant of type " + tagType.print());
+        }
+
+        var value = tag.getOrdinalValue();
+        for (var i = 0; i < this.labels.length; i++) {
+            if (this.labels[i].getOrdinalValue() === value) {
+                return true;
+            }
+        }
+
+        return false;
     };
 
     // Given any expression type, returns the value of the expression. The
-    // expression must evaluate to a scalar constant.
+    // expression must be constant (see isConstant()). Like Turbo Pascal, this
+    // does integer arithmetic in LongInt, whatever the types of the operands.
     Node.prototype.getConstantValue = function () {
         switch (this.nodeType) {
             case Node.NUMBER:
@@ -342,45 +741,258 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                 return this.getBoolean();
             case Node.STRING:
                 return this.token.value;
+            case Node.POINTER:
+                // Nil is address 0.
+                return 0;
+            case Node.NEGATIVE:
+                return toLongIntIfInteger(this, -this.expression.getConstantValue());
+            case Node.NOT:
+                var value = this.expression.getConstantValue();
+                return this.expressionType.isSimpleType(inst.I) ? ~value : !value;
+            case Node.CAST:
+                var value = this.expression.getConstantValue();
+                var fromType = this.expression.expressionType;
+                if (fromType.nodeType === Node.ENUM_TYPE && this.type.isSimpleType(inst.S)) {
+                    return fromType.entries[value].token.value;
+                }
+                return value;
+            case Node.ADDITION:
+            case Node.SUBTRACTION:
+            case Node.MULTIPLICATION:
+            case Node.DIVISION:
+            case Node.INTEGER_DIVISION:
+            case Node.MOD:
+            case Node.AND:
+            case Node.OR:
+            case Node.XOR:
+            case Node.SHL:
+            case Node.SHR:
+                return getConstantBinaryValue(this, this.lhs.getConstantValue(),
+                                              this.rhs.getConstantValue());
+            case Node.EQUALITY:
+            case Node.INEQUALITY:
+            case Node.LESS_THAN:
+            case Node.GREATER_THAN:
+            case Node.LESS_THAN_OR_EQUAL_TO:
+            case Node.GREATER_THAN_OR_EQUAL_TO:
+                return getConstantComparisonValue(this, this.lhs.getConstantValue(),
+                                                  this.rhs.getConstantValue());
+            case Node.IN:
+                return sets.contains(this.rhs.getConstantValue(), this.lhs.getOrdinalValue());
+            case Node.SET:
+                var set = sets.makeEmpty();
+                for (var i = 0; i < this.elements.length; i++) {
+                    var element = this.elements[i];
+                    if (element.nodeType === Node.RANGE) {
+                        set = sets.union(set, sets.makeRange(element.getRangeLowBound(),
+                                                             element.getRangeHighBound()));
+                    } else {
+                        var value = element.getOrdinalValue();
+                        set = sets.union(set, sets.makeRange(value, value));
+                    }
+                }
+                return set;
             default:
                 throw new PascalError(this.token, "cannot get constant value of node type " +
                                       this.nodeType);
         }
     };
 
+    // Returns the value of a binary arithmetic, logical, or set operator, given
+    // the constant values of its operands.
+    var getConstantBinaryValue = function (node, a, b) {
+        var isSet = node.expressionType.nodeType === Node.SET_TYPE;
+        var isBoolean = node.expressionType.isBooleanType();
+
+        if ((node.nodeType === Node.DIVISION || node.nodeType === Node.INTEGER_DIVISION ||
+             node.nodeType === Node.MOD) && b === 0) {
+
+            throw new PascalError(node.token, "division by zero");
+        }
+
+        switch (node.nodeType) {
+            case Node.ADDITION:
+                return isSet ? sets.union(a, b) : toLongIntIfInteger(node, a + b);
+            case Node.SUBTRACTION:
+                return isSet ? sets.difference(a, b) : toLongIntIfInteger(node, a - b);
+            case Node.MULTIPLICATION:
+                return isSet ? sets.intersection(a, b) : toLongIntIfInteger(node, a*b);
+            case Node.DIVISION:
+                return a/b;
+            case Node.INTEGER_DIVISION:
+                return utils.trunc(a/b);
+            case Node.MOD:
+                return a % b;
+            case Node.AND:
+                return isBoolean ? a && b : a & b;
+            case Node.OR:
+                return isBoolean ? a || b : a | b;
+            case Node.XOR:
+                return isBoolean ? a !== b : a ^ b;
+            case Node.SHL:
+                return a << b;
+            case Node.SHR:
+                return (a >>> b) | 0;
+            default:
+                throw new PascalError(node.token, "unknown constant operator " + node.nodeType);
+        }
+    };
+
+    // Returns the value of a comparison operator, given the constant values of
+    // its operands. Sets can only be compared for equality and inclusion.
+    var getConstantComparisonValue = function (node, a, b) {
+        if (node.lhs.expressionType.nodeType === Node.SET_TYPE) {
+            switch (node.nodeType) {
+                case Node.EQUALITY:
+                    return sets.equals(a, b);
+                case Node.INEQUALITY:
+                    return !sets.equals(a, b);
+                case Node.LESS_THAN_OR_EQUAL_TO:
+                    return sets.isSubset(a, b);
+                case Node.GREATER_THAN_OR_EQUAL_TO:
+                    return sets.isSubset(b, a);
+                default:
+                    throw new PascalError(node.token, "can't compare sets with " +
+                                          node.token.value);
+            }
+        }
+
+        switch (node.nodeType) {
+            case Node.EQUALITY:
+                return a === b;
+            case Node.INEQUALITY:
+                return a !== b;
+            case Node.LESS_THAN:
+                return a < b;
+            case Node.GREATER_THAN:
+                return a > b;
+            case Node.LESS_THAN_OR_EQUAL_TO:
+                return a <= b;
+            default:
+                return a >= b;
+        }
+    };
+
+    // Wraps the value around to a LongInt if the expression is an integer.
+    var toLongIntIfInteger = function (node, value) {
+        return node.expressionType.isSimpleType(inst.I) ? value | 0 : value;
+    };
+
+    // Returns whether the expression is a literal, or made only of literals and
+    // operators, so that getConstantValue() can be called on it.
+    Node.prototype.isConstant = function () {
+        switch (this.nodeType) {
+            case Node.NUMBER:
+            case Node.BOOLEAN:
+            case Node.STRING:
+            case Node.POINTER:
+                return true;
+            case Node.NEGATIVE:
+            case Node.NOT:
+            case Node.CAST:
+                return this.expression.isConstant();
+            case Node.ADDITION:
+            case Node.SUBTRACTION:
+            case Node.MULTIPLICATION:
+            case Node.DIVISION:
+            case Node.INTEGER_DIVISION:
+            case Node.MOD:
+            case Node.AND:
+            case Node.OR:
+            case Node.XOR:
+            case Node.SHL:
+            case Node.SHR:
+            case Node.EQUALITY:
+            case Node.INEQUALITY:
+            case Node.LESS_THAN:
+            case Node.GREATER_THAN:
+            case Node.LESS_THAN_OR_EQUAL_TO:
+            case Node.GREATER_THAN_OR_EQUAL_TO:
+            case Node.IN:
+                return this.lhs.isConstant() && this.rhs.isConstant();
+            case Node.RANGE:
+                return this.low.isConstant() && this.high.isConstant();
+            case Node.SET:
+                for (var i = 0; i < this.elements.length; i++) {
+                    if (!this.elements[i].isConstant()) {
+                        return false;
+                    }
+                }
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    // Given a constant expression of an ordinal type, returns its ordinal value
+    // as an integer. Characters map to their character code and booleans to 0 or 1.
+    Node.prototype.getOrdinalValue = function () {
+        var value = this.getConstantValue();
+
+        switch (typeof(value)) {
+            case "boolean":
+                return value ? 1 : 0;
+            case "string":
+                if (value.length !== 1) {
+                    throw new PascalError(this.token, "expected a character");
+                }
+                return value.charCodeAt(0);
+            default:
+                return value;
+        }
+    };
+
     // Return the total parameter size of a function's parameters.
     Node.prototype.getTotalParameterSize = function () {
-        if (this.nodeType !== Node.SUBPROGRAM_TYPE) {
+        if (this.nodeType !== Node.SUBPROGRAM_TYPE &&
+            this.nodeType !== Node.PROCEDURAL_TYPE) {
+
             throw new PascalError(this.token, "can't get parameter size of non-subprogram");
         }
 
         var size = 0;
 
         for (var i = 0; i < this.parameters.length; i++) {
-            var parameter = this.parameters[i];
-            size += parameter.byReference ? 1 : parameter.type.getTypeSize();
+            size += this.parameters[i].getParameterSize();
         }
 
         return size;
     };
 
+    // Given a PARAMETER node, returns the size of its argument in the frame. An
+    // open array's address is followed by its highest index.
+    Node.prototype.getParameterSize = function () {
+        if (!this.byReference) {
+            return this.type.getTypeSize();
+        }
+
+        return this.type.isOpenArrayType() ? 2 : 1;
+    };
+
     // Given a type node (SIMPLE_TYPE, ARRAY_TYPE, etc.), returns the size of that type.
     Node.prototype.getTypeSize = function () {
         var size;
 
         switch (this.nodeType) {
             case Node.SIMPLE_TYPE:
+            case Node.ENUM_TYPE:
+            case Node.SET_TYPE:
+            case Node.PROCEDURAL_TYPE:
                 // They all have the same size.
                 size = 1;
                 break;
-            /// case Node.ENUM_TYPE:
             case Node.RECORD_TYPE:
-                size = 0;
-                for (var i = 0; i < this.fields.length; i++) {
-                    size += this.fields[i].type.getTypeSize();
-                }
+                // Variants overlap, so only the largest one counts.
+                size = this.getVariantSize([]);
+                break;
+            case Node.OBJECT_TYPE:
+                size = this.size;
                 break;
             case Node.ARRAY_TYPE:
+                if (this.isOpen) {
+                    throw new PascalError(this.token, "size of open array isn't known");
+                }
+
                 // Start with size of element type.
                 size = this.elementType.getTypeSize();
 
@@ -389,7 +1001,6 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                     size *= this.ranges[i].getRangeSize();
                 }
                 break;
-            /// case Node.SET_TYPE:
             default:
                 throw new PascalError(this.token, "can't get size of type " + this.print());
         }
@@ -400,12 +1011,61 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     // Useful types.
     Node.pointerType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.A});
     Node.booleanType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.B});
-    Node.charType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.C});
-    Node.integerType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.I});
+    Node.charType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.C, low: 0, high: 255});
     Node.voidType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.P});
     Node.realType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.R});
     Node.stringType = new Node(Node.SIMPLE_TYPE, null, {typeCode: inst.S});
 
+    // Integer types, from smallest to largest range. Integer is the default.
+    var makeIntegerType = function (name, low, high) {
+        return new Node(Node.SIMPLE_TYPE, null, {
+            typeCode: inst.I,
+            name: new Node(Node.IDENTIFIER, new Token(name, Token.IDENTIFIER)),
+            low: low,
+            high: high
+        });
+    };
+    Node.shortIntType = makeIntegerType("ShortInt", -128, 127);
+    Node.byteType = makeIntegerType("Byte", 0, 255);
+    Node.integerType = makeIntegerType("Integer", -32768, 32767);
+    Node.wordType = makeIntegerType("Word", 0, 65535);
+    Node.longIntType = makeIntegerType("LongInt", -2147483648, 2147483647);
+    var INTEGER_TYPES = [Node.shortIntType, Node.byteType, Node.integerType,
+        Node.wordType, Node.longIntType];
+
+    // Returns the first of Integer, Word, and LongInt whose range includes low to
+    // high. Like in Turbo Pascal, smaller types are widened to 16 bits for
+    // arithmetic.
+    var getArithmeticIntegerType = function (low, high) {
+        for (var i = 2; i < INTEGER_TYPES.length - 1; i++) {
+            var type = INTEGER_TYPES[i];
+            if (type.low <= low && high <= type.high) {
+                return type;
+            }
+        }
+
+        return Node.longIntType;
+    };
+
+    // Returns the type of an integer literal.
+    Node.getLiteralIntegerType = function (value) {
+        return getArithmeticIntegerType(value, value);
+    };
+
+    // Returns the type that arithmetic on the two integer types is done in, the
+    // type of the result.
+    Node.getCommonIntegerType = function (type1, type2) {
+        return getArithmeticIntegerType(Math.min(type1.low, type2.low),
+                                        Math.max(type1.high, type2.high));
+    };
+
+    // Returns the type of the negation of a value of the integer type. Unsigned
+    // types become signed ones.
+    Node.getNegatedIntegerType = function (type) {
+        return type.low < 0 ? Node.getCommonIntegerType(type, type) :
+            getArithmeticIntegerType(-type.high, type.high);
+    };
+
     // Fluid method to set the expression type.
     Node.prototype.withExpressionType = function (expressionType) {
         this.expressionType = expressionType;
@@ -426,6 +1086,19 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
     Node.makeBooleanNode = function (value) {
         return new Node(Node.BOOLEAN, new Token(value ? "True" : "False", Token.IDENTIFIER));
     };
+    Node.makeOrdinalNode = function (value, type) {
+        // Make a constant of an ordinal type from its ordinal value.
+        var node;
+        if (type.isSimpleType(inst.C)) {
+            node = new Node(Node.STRING, new Token(String.fromCharCode(value), Token.STRING));
+        } else if (type.isSimpleType(inst.B)) {
+            node = Node.makeBooleanNode(value !== 0);
+        } else {
+            node = Node.makeNumberNode(value);
+        }
+        node.expressionType = type;
+        return node;
+    };
     Node.makePointerNode = function (value) {
         // Nil is the only constant pointer.
         if (value !== null) {
@@ -461,6 +1134,10 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                 if (this.nodeType !== Node.PROGRAM) {
                     indent += "    ";
                     s += "\n";
+                } else {
+                    for (var i = 0; i < this.units.length; i++) {
+                        s += this.units[i].print(indent) + "\n";
+                    }
                 }
 
                 s += indent + Node.nodeLabel[this.nodeType] + " " + this.name.token.value;
@@ -483,6 +1160,20 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             case Node.USES:
                 s += indent + "uses " + this.name.token.value;
                 break;
+            case Node.UNIT:
+                s += indent + "unit " + this.name.token.value + ";\n\n";
+                for (var i = 0; i < this.declarations.length; i++) {
+                    s += this.declarations[i].print(indent) + ";\n";
+                }
+                s += "\n" + this.block.print(indent) + ".\n";
+                break;
+            case Node.LABEL:
+                s += indent + "label " + this.name.token.value;
+                break;
+            case Node.FORWARD:
+                s += indent + Node.nodeLabel[this.subprogramType] + " " +
+                    this.name.token.value + this.expressionType.print() + "; forward";
+                break;
             case Node.VAR:
                 s += indent + "var " + this.name.print() + " : " + this.type.print();
                 break;
@@ -497,8 +1188,9 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                 s += indent + "end";
                 break;
             case Node.PARAMETER:
-                s += (this.byReference ? "var " : "") + this.name.print() +
-                    " : " + this.type.print();
+                s += (this.isConst ? "const " :
+                      this.byReference && !this.isCopied ? "var " : "") +
+                    this.name.print() + " : " + this.type.print();
                 break;
             case Node.CAST:
                 s += this.type.print() + "(" + this.expression.print() + ")";
@@ -568,6 +1260,27 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             case Node.NEGATIVE:
                 s += "-" + this.expression.print();
                 break;
+            case Node.ORD:
+                s += "Ord(" + this.expression.print() + ")";
+                break;
+            case Node.SUCC:
+                s += "Succ(" + this.expression.print() + ")";
+                break;
+            case Node.PRED:
+                s += "Pred(" + this.expression.print() + ")";
+                break;
+            case Node.CHR:
+                s += "Chr(" + this.expression.print() + ")";
+                break;
+            case Node.UPCASE:
+                s += "UpCase(" + this.expression.print() + ")";
+                break;
+            case Node.TRUNC:
+                s += "Trunc(" + this.expression.print() + ")";
+                break;
+            case Node.ROUND:
+                s += "Round(" + this.expression.print() + ")";
+                break;
             case Node.ADDITION:
                 s += this.lhs.print() + " + " + this.rhs.print();
                 break;
@@ -610,6 +1323,15 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             case Node.MOD:
                 s += this.lhs.print() + " mod " + this.rhs.print();
                 break;
+            case Node.XOR:
+                s += this.lhs.print() + " xor " + this.rhs.print();
+                break;
+            case Node.SHL:
+                s += this.lhs.print() + " shl " + this.rhs.print();
+                break;
+            case Node.SHR:
+                s += this.lhs.print() + " shr " + this.rhs.print();
+                break;
             case Node.FIELD_DESIGNATOR:
                 s += this.variable.print() + "." + this.field.name.print();
                 break;
@@ -620,15 +1342,34 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                 }
                 s += this.variable.print() + "[" + indices.join(",") + "]";
                 break;
+            case Node.STRING_INDEX:
+                s += this.variable.print() + "[" + this.index.print() + "]";
+                break;
+            case Node.ROUTINE:
+                s += this.name.print();
+                break;
             case Node.TYPE:
                 s += indent + "type " + this.name.print() + " = " + this.type.print();
                 break;
+            case Node.IN:
+                s += this.lhs.print() + " in " + this.rhs.print();
+                break;
+            case Node.SET:
+                var elements = [];
+                for (var i = 0; i < this.elements.length; i++) {
+                    elements.push(this.elements[i].print());
+                }
+                s += "[" + elements.join(", ") + "]";
+                break;
             case Node.ADDRESS_OF:
                 s += "@" + this.variable.print();
                 break;
             case Node.DEREFERENCE:
                 s += this.variable.print() + "^";
                 break;
+            case Node.TYPECAST:
+                s += this.token.value + "(" + this.expression.print() + ")";
+                break;
             case Node.SIMPLE_TYPE:
                 if (this.typeCode === inst.A) {
                     if (this.typeName) {
@@ -637,24 +1378,149 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                         // Generic pointer.
                         s += "Pointer";
                     }
+                } else if (this.typeCode === inst.I && this.name) {
+                    s += this.name.print();
+                } else if (this.typeCode === inst.I) {
+                    // Subrange.
+                    s += this.low + ".." + this.high;
+                } else if (this.typeCode === inst.C && this !== Node.charType) {
+                    s += Node.makeOrdinalNode(this.low, this).print() + ".." +
+                        Node.makeOrdinalNode(this.high, this).print();
                 } else {
                     s += inst.typeCodeToName(this.typeCode);
                 }
                 break;
+            case Node.ENUM_TYPE:
+                if (this.hostType !== null) {
+                    s += this.entries[this.low].print() + ".." + this.entries[this.high].print();
+                    break;
+                }
+                var entries = [];
+                for (var i = 0; i < this.entries.length; i++) {
+                    entries.push(this.entries[i].print());
+                }
+                s += "(" + entries.join(", ") + ")";
+                break;
             case Node.RECORD_TYPE:
                 s += "record\n";
                 for (var i = 0; i < this.fields.length; i++) {
                     s += this.fields[i].print(indent + "    ") + ";\n";
                 }
+                if (this.variantPart !== null) {
+                    s += this.variantPart.print(indent + "    ") + "\n";
+                }
                 s += indent + "end";
                 break;
+            case Node.OBJECT_TYPE:
+                s += "object";
+                if (this.parentType !== null) {
+                    s += "(" + this.parentType.name.print() + ")";
+                }
+                s += "\n";
+                for (var i = 0; i < this.fields.length; i++) {
+                    s += this.fields[i].print(indent + "    ") + ";\n";
+                }
+                for (var i = 0; i < this.methods.length; i++) {
+                    if (this.methods[i].objectType === this) {
+                        s += this.methods[i].print(indent + "    ") + ";\n";
+                    }
+                }
+                s += indent + "end";
+                break;
+            case Node.METHOD:
+                s += indent + this.kind + " " + this.name.print() +
+                    this.expressionType.print() + (this.isVirtual ? "; virtual" : "");
+                break;
+            case Node.METHOD_CALL:
+                var methodArguments = [];
+                for (var i = 0; i < this.argumentList.length; i++) {
+                    methodArguments.push(this.argumentList[i].print());
+                }
+                s += (this.isStatic ? "inherited " : this.object.print() + ".") +
+                    this.method.name.print() + "(" + methodArguments.join(", ") + ")";
+                break;
+            case Node.VARIANT_PART:
+                s += indent + "case " +
+                    (this.tagField !== null ? this.tagField.name.print() + " : " : "") +
+                    this.tagType.print() + " of\n";
+                var variants = [];
+                for (var i = 0; i < this.variants.length; i++) {
+                    variants.push(this.variants[i].print(indent + "    "));
+                }
+                s += variants.join(";\n");
+                break;
+            case Node.VARIANT:
+                var labels = [];
+                for (var i = 0; i < this.labels.length; i++) {
+                    labels.push(this.labels[i].print());
+                }
+                var fields = [];
+                for (var i = 0; i < this.fields.length; i++) {
+                    fields.push(this.fields[i].print());
+                }
+                s += indent + labels.join(", ") + " : (" + fields.join("; ") +
+                    (this.variantPart !== null ? "; " + this.variantPart.print() : "") + ")";
+                break;
             case Node.ARRAY_TYPE:
+                if (this.isOpen) {
+                    s += "array of " + this.elementType.print();
+                    break;
+                }
                 var ranges = [];
                 for (var i = 0; i < this.ranges.length; i++) {
                     ranges.push(this.ranges[i].print());
                 }
                 s += "array[" + ranges.join(",") + "] of " + this.elementType.print();
                 break;
+            case Node.SET_TYPE:
+                if (this.type === null) {
+                    // Type of the empty set "[]".
+                    s += "set";
+                } else {
+                    s += "set of " +
+                        (this.range !== null ? this.range.print() : this.type.print());
+                }
+                break;
+            case Node.CASE:
+                s += indent + "case " + this.expression.print() + " of\n";
+                for (var i = 0; i < this.arms.length; i++) {
+                    s += this.arms[i].print(indent + "    ") + ";\n";
+                }
+                if (this.elseStatement) {
+                    s += indent + "else\n" + this.elseStatement.print(indent + "    ") + "\n";
+                }
+                s += indent + "end";
+                break;
+            case Node.WITH:
+                s += indent + "with " + this.variable.print() + " do\n" +
+                    this.statement.print(indent + "    ");
+                break;
+            case Node.LABELED_STATEMENT:
+                s += indent + this.label.name + ":\n" + this.statement.print(indent);
+                break;
+            case Node.GOTO:
+                s += indent + "goto " + this.label.name;
+                break;
+            case Node.BREAK:
+                s += indent + "Break";
+                break;
+            case Node.CONTINUE:
+                s += indent + "Continue";
+                break;
+            case Node.OPEN_ARRAY_ARGUMENT:
+                s += this.variable.print();
+                break;
+            case Node.CASE_ARM:
+                var labels = [];
+                for (var i = 0; i < this.labels.length; i++) {
+                    labels.push(this.labels[i].print());
+                }
+                s += indent + labels.join(", ") + ":\n";
+                s += this.statement.print(indent + "    ");
+                break;
+            case Node.PROCEDURAL_TYPE:
+                s += this.returnType.isSimpleType(inst.P) ? "procedure" : "function";
+                // Fall through.
             case Node.SUBPROGRAM_TYPE:
                 // Print parameters.
                 var parameters = [];
@@ -678,6 +1544,39 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
         return s;
     };
 
+    // Returns the node, whose type is Char or enumerated, cast to the type, one of
+    // the same kind with a possibly different range, such as a subrange. As with
+    // integers, constants must fit, and other values that may not are cast so that
+    // they can be checked at run time.
+    var castToOrdinalSubrange = function (node, type) {
+        var nodeType = node.expressionType;
+
+        if (type.low === nodeType.low && type.high === nodeType.high) {
+            return node;
+        }
+        if (node.byReference) {
+            throw new PascalError(node.token, "can't pass " + nodeType.print() +
+                                  " by reference as " + type.print());
+        }
+        if (type.low <= nodeType.low && nodeType.high <= type.high) {
+            // Widening.
+            return node;
+        }
+        if (!node.isConstant()) {
+            return new Node(Node.CAST, node.token, {
+                type: type,
+                expression: node
+            }).withExpressionType(type);
+        }
+
+        var value = node.getOrdinalValue();
+        if (value < type.low || value > type.high) {
+            throw new PascalError(node.token, "constant out of range for " + type.print());
+        }
+
+        return node;
+    };
+
     // Return a node that casts "this" to "type". Returns "this" if it's already
     // of type "type". Throws if "this" can't be cast to "type".
     Node.prototype.castToType = function (type) {
@@ -699,11 +1598,16 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
             throw new PascalError(this.token, "can't cast from null type");
         }
 
+        // Nil is the value of procedural variables that haven't been assigned.
+        if (type.nodeType === Node.PROCEDURAL_TYPE && nodeType.isNilType()) {
+            return this;
+        }
+
         // Must be the same type of node. Can't cast between node types
         // (e.g., array to set).
         if (type.nodeType !== nodeType.nodeType) {
-            throw new PascalError(this.token, "can't cast from " + nodeType.nodeType +
-                                 " to " + type.nodeType);
+            throw new PascalError(this.token, "can't cast from " + nodeType.print() +
+                                 " to " + type.print());
         }
 
         // Can cast between some simple types.
@@ -730,9 +1634,8 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                     return this;
                 }
 
-                // Can always cast to a real.
-                if (typeCode === inst.R ||
-                    (typeCode === inst.I && nodeTypeCode !== inst.R)) {
+                // Can cast integers to reals.
+                if (typeCode === inst.R && nodeTypeCode === inst.I) {
 
                     var node = new Node(Node.CAST, type.token, {
                         type: type,
@@ -756,13 +1659,72 @@ define(["inst", "PascalError", "Token", "utils"], function (inst, PascalError, T
                         // Assigning to generic pointer, always allowed.
                     } else if (type.typeName.isSameIdentifier(nodeType.typeName)) {
                         // Same pointer type.
+                    } else if (type.type.nodeType === Node.OBJECT_TYPE &&
+                               nodeType.type.nodeType === Node.OBJECT_TYPE &&
+                               nodeType.type.isDescendantOf(type.type)) {
+
+                        // Pointer to a descendant object, which can be used as
+                        // its ancestor.
                     } else {
                         // Incompatible pointers, disallow. XXX test this.
                         throw new PascalError(this.token, "can't cast from pointer to " +
                                               nodeType.print() + " to pointer to " + type.print());
                     }
+                } else if (type.typeCode === inst.I && !type.isSameType(nodeType)) {
+                    // Different integer types.
+                    if (this.byReference) {
+                        throw new PascalError(this.token, "can't pass " + nodeType.print() +
+                                              " by reference as " + type.print());
+                    }
+                    if (!type.includesIntegerType(nodeType)) {
+                        // Narrowing. Constants must fit, and other values wrap around.
+                        if (!this.isConstant()) {
+                            var node = new Node(Node.CAST, this.token, {
+                                type: type,
+                                expression: this
+                            });
+                            node.expressionType = type;
+                            return node;
+                        }
+
+                        var value = this.getConstantValue();
+                        if (value < type.low || value > type.high) {
+                            throw new PascalError(this.token, "constant out of range for " +
+                                                  type.print());
+                        }
+                    }
+                } else if (type.typeCode === inst.C) {
+                    return castToOrdinalSubrange(this, type);
                 }
             }
+        } else if (type.nodeType === Node.ENUM_TYPE) {
+            // Enumerated types are only compatible with themselves and their subranges.
+            if (type.getHostType() !== nodeType.getHostType()) {
+                throw new PascalError(this.token, "can't cast from " + nodeType.print() +
+                                      " to " + type.print());
+            }
+            return castToOrdinalSubrange(this, type);
+        } else if (type.nodeType === Node.SET_TYPE) {
+            // Sets must have compatible elements. The empty set goes anywhere.
+            if (type.type !== null && nodeType.type !== null &&
+                !type.type.isSameOrdinalType(nodeType.type)) {
+
+                throw new PascalError(this.token, "can't cast from " + nodeType.print() +
+                                      " to " + type.print());
+            }
+        } else if (type.nodeType === Node.OBJECT_TYPE) {
+            // Descendants can be passed by reference where an ancestor is expected.
+            // By value, only the same type fits.
+            if (type !== nodeType && (!this.byReference || !nodeType.isDescendantOf(type))) {
+                throw new PascalError(this.token, "can't cast from " + nodeType.name.print() +
+                                      " to " + type.name.print());
+            }
+        } else if (type.nodeType === Node.PROCEDURAL_TYPE) {
+            // Procedures and functions must have the same parameters and return type.
+            if (!type.isSameSignature(nodeType)) {
+                throw new PascalError(this.token, "can't cast from " + nodeType.print() +
+                                      " to " + type.print());
+            }
         } else {
             // Complex type. XXX We should verify that they're of the same type.
         }
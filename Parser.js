@@ -2,20 +2,62 @@
 
 'use strict';
 
-define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "modules", "RawData"],
-       function (Token, Node, PascalError, inst, SymbolTable, Symbol, modules, RawData) {
+define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "SymbolLookup",
+        "modules", "RawData", "sets", "utils"],
+       function (Token, Node, PascalError, inst, SymbolTable, Symbol, SymbolLookup, modules,
+                 RawData, sets, utils) {
 
     var Parser = function (lexer) {
         this.lexer = lexer;
+
+        // Unique numbers of the statements being parsed, outermost first. A goto
+        // may only jump to a label whose statement path is a prefix of its own,
+        // otherwise it would jump into a nested statement.
+        this.statementPath = [];
+        this.statementCount = 0;
+
+        // Number of loops around the statement being parsed, so that we can
+        // catch a break or continue that's not in one. Procedures can't be
+        // declared inside statements, so this doesn't need saving around them.
+        this.loopDepth = 0;
+
+        // Whether the next primary expression may be an untyped variable, because
+        // it's the operand of a typecast. See _parseTypecast().
+        this.allowUntypedVariable = false;
+
+        // Function that's given the name of a unit and returns a lexer for its
+        // source, or null if there's no such unit. See setUnitCallback().
+        this.unitCallback = null;
+
+        // UNIT nodes of the units parsed so far, in the order they must be
+        // initialized. Shared with the parsers of the units themselves, so that
+        // each unit is only parsed once.
+        this.units = [];
+
+        // UNIT nodes of the units being parsed, outermost first, to catch units
+        // whose interfaces use each other.
+        this.unitPath = [];
+
+        // Units whose implementation sections wait for the interface sections on
+        // the unit path, which they may use. See _parseUnit().
+        this.pendingUnits = [];
     };
 
     // Parse an entire Pascal program.
     Parser.prototype.parse = function (symbolTable) {
         var node = this._parseSubprogramDeclaration(symbolTable, Node.PROGRAM);
+        node.units = this.units;
 
         return node;
     };
 
+    // Sets the function used to find the source of units named in "uses"
+    // declarations. It's given the unit's name and must return a lexer for
+    // the unit's source, or null if there's no such unit.
+    Parser.prototype.setUnitCallback = function (unitCallback) {
+        this.unitCallback = unitCallback;
+    };
+
     // Returns whether there are more entities to come. The function is given
     // two symbols, one that's a separator and one's that a terminator. Returns
     // true and eats the symbol if it sees the separator; returns false and
@@ -46,6 +88,18 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return token;
     };
 
+    // Eats the next token, which must be a label: an identifier or a number from
+    // 0 to 9999. Returns the token.
+    Parser.prototype._expectLabel = function () {
+        var token = this.lexer.next();
+        if (token.tokenType !== Token.IDENTIFIER &&
+            (token.tokenType !== Token.NUMBER || !/^\d{1,4}$/.test(token.value))) {
+
+            throw new PascalError(token, "expected label");
+        }
+        return token;
+    };
+
     // Eats the next symbol (such as ":="). If it's not this symbol, raises an
     // error with this message. Returns the token.
     Parser.prototype._expectSymbol = function (symbol, message) {
@@ -71,8 +125,11 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
     Parser.prototype._parseDeclarations = function (symbolTable) {
         var declarations = [];
 
-        // Parse each declaration or block.
-        while (!this.lexer.peek().isReservedWord("begin")) {
+        // Parse each declaration or block. Units can end without a "begin".
+        while (!this.lexer.peek().isReservedWord("begin") &&
+               !this.lexer.peek().isReservedWord("end")) {
+
+
             // This parser also eats the semicolon after the declaration.
             var nodes = this._parseDeclaration(symbolTable);
 
@@ -80,9 +137,52 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             declarations.push.apply(declarations, nodes);
         }
 
+        // Procedures and functions declared "forward" must have been given a body.
+        for (var name in symbolTable.symbols) {
+            if (symbolTable.symbols.hasOwnProperty(name) && symbolTable.symbols[name].isForward &&
+                !this._isFromUnfinishedUnit(name, symbolTable.symbols[name])) {
+
+                throw new PascalError(this.lexer.peek(), "no body for forward declaration of " +
+                                      symbolTable.symbols[name].name);
+            }
+        }
+
+        // So must the methods of object types.
+        for (var name in symbolTable.types) {
+            var type = symbolTable.types[name].type;
+            if (symbolTable.types.hasOwnProperty(name) && type.nodeType === Node.OBJECT_TYPE &&
+                !this._isFromUnfinishedUnit(name, symbolTable.types[name])) {
+
+                for (var i = 0; i < type.methods.length; i++) {
+                    var method = type.methods[i];
+                    if (method.objectType === type && method.symbol.isForward) {
+                        throw new PascalError(this.lexer.peek(), "no body for method " +
+                                              method.symbol.name);
+                    }
+                }
+            }
+        }
+
         return declarations;
     }
 
+    // Returns whether the symbol or type symbol of that name was imported from a
+    // unit that uses the one being parsed in its implementation section, and so
+    // hasn't been given its bodies yet. They're checked when that unit is done.
+    Parser.prototype._isFromUnfinishedUnit = function (name, symbol) {
+        // The last unit is the one being parsed.
+        for (var i = 0; i < this.unitPath.length - 1; i++) {
+            var exports = this.unitPath[i].exports;
+            if (exports !== null &&
+                (exports.symbols[name] === symbol || exports.types[name] === symbol)) {
+
+                return true;
+            }
+        }
+
+        return false;
+    };
+
     // Parse any declaration (uses, var, procedure, function). Returns a list
     // of them, in case a declaration expands to be multiple nodes.
     Parser.prototype._parseDeclaration = function (symbolTable) {
@@ -90,6 +190,8 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
         if (token.isReservedWord("uses")) {
             return this._parseUsesDeclaration(symbolTable);
+        } else if (token.isReservedWord("label")) {
+            return this._parseLabelDeclaration(symbolTable);
         } else if (token.isReservedWord("var")) {
             this._expectReservedWord("var");
             return this._parseVarDeclaration(symbolTable);
@@ -99,7 +201,9 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         } else if (token.isReservedWord("type")) {
             this._expectReservedWord("type");
             return this._parseTypeDeclaration(symbolTable);
-        } else if (token.isReservedWord("procedure")) {
+        } else if (token.isReservedWord("procedure") || token.isReservedWord("constructor") ||
+                   token.isReservedWord("destructor")) {
+
             return [this._parseSubprogramDeclaration(symbolTable, Node.PROCEDURE)];
         } else if (token.isReservedWord("function")) {
             return [this._parseSubprogramDeclaration(symbolTable, Node.FUNCTION)];
@@ -110,6 +214,27 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         }
     };
 
+    // Parse "label" declaration, which is a list of numbers or identifiers. Returns
+    // a list of nodes.
+    Parser.prototype._parseLabelDeclaration = function (symbolTable) {
+        this._expectReservedWord("label");
+
+        var nodes = [];
+
+        do {
+            var token = this._expectLabel();
+            var node = new Node(Node.LABEL, token, {
+                name: new Node(Node.IDENTIFIER, token)
+            });
+            node.symbol = symbolTable.addLabel(token);
+            nodes.push(node);
+        } while (this._moreToCome(",", ";"));
+
+        this._expectSymbol(";");
+
+        return nodes;
+    };
+
     // Parse "uses" declaration, which is a list of identifiers. Returns a list of nodes.
     Parser.prototype._parseUsesDeclaration = function (symbolTable) {
         var usesToken = this._expectReservedWord("uses");
@@ -123,7 +248,11 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             });
 
             // Import the module's symbols into this symbol table.
-            modules.importModule(token.value, symbolTable);
+            if (modules.isModule(token.value)) {
+                modules.importModule(token.value, symbolTable);
+            } else {
+                symbolTable.importUnit(this._getUnit(symbolTable, token));
+            }
 
             nodes.push(node);
         } while (this._moreToCome(",", ";"));
@@ -133,6 +262,172 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return nodes;
     };
 
+    // Returns the UNIT node of the unit named by the token, parsing it if it
+    // hasn't been parsed yet. The unit's variables are added to the frame of
+    // the symbol table, which must be the program's or another unit's.
+    Parser.prototype._getUnit = function (symbolTable, token) {
+        var name = token.value.toLowerCase();
+
+        for (var i = 0; i < this.units.length; i++) {
+            if (this.units[i].name.token.value.toLowerCase() === name) {
+                return this.units[i];
+            }
+        }
+        for (var i = 0; i < this.pendingUnits.length; i++) {
+            if (this.pendingUnits[i].unit.name.token.value.toLowerCase() === name) {
+                return this.pendingUnits[i].unit;
+            }
+        }
+
+        if (symbolTable.getGlobalLevel() !== 0) {
+            throw new PascalError(token, "units can only be used by programs and units");
+        }
+
+        // A unit being parsed can be used once its interface section is known,
+        // from the implementation sections of the units it uses. A unit can't
+        // need itself to parse its own interface section.
+        for (var i = 0; i < this.unitPath.length; i++) {
+            var pathUnit = this.unitPath[i];
+            if (pathUnit.name.token.value.toLowerCase() === name) {
+                if (pathUnit.exports === null) {
+                    var names = [];
+                    for (var j = i; j < this.unitPath.length; j++) {
+                        names.push(this.unitPath[j].name.token.value);
+                    }
+                    throw new PascalError(token, "circular unit reference: " +
+                                          names.join(", ") + ", " + token.value);
+                }
+
+                return pathUnit;
+            }
+        }
+
+        var lexer = this.unitCallback === null ? null : this.unitCallback(token.value);
+        if (lexer === null) {
+            throw new PascalError(token, "unknown module " + token.value);
+        }
+
+        // Parse the unit with its own parser, since it has its own lexer.
+        var parser = new Parser(lexer);
+        parser.unitCallback = this.unitCallback;
+        parser.units = this.units;
+        parser.unitPath = this.unitPath;
+        parser.pendingUnits = this.pendingUnits;
+
+        return parser._parseUnit(symbolTable, token);
+    };
+
+    // Parse a unit, which must be named by the token. Its variables go at the end
+    // of the frame of the symbol table. Returns a UNIT node, whose implementation
+    // section may not have been parsed yet.
+    Parser.prototype._parseUnit = function (programSymbolTable, usesToken) {
+        this._expectReservedWord("unit");
+        var nameToken = this._expectIdentifier("expected unit name");
+        if (nameToken.value.toLowerCase() !== usesToken.value.toLowerCase()) {
+            throw new PascalError(nameToken, "expected unit " + usesToken.value);
+        }
+        this._expectSymbol(";");
+
+        // The unit has its own table, for its private symbols, but shares the
+        // program's frame. Its variables go after those already in the frame.
+        var symbolTable = new SymbolTable(programSymbolTable.parentSymbolTable);
+        symbolTable.totalVariableSize = programSymbolTable.totalVariableSize;
+
+        var node = new Node(Node.UNIT, nameToken, {
+            name: new Node(Node.IDENTIFIER, nameToken),
+            declarations: [],
+            block: null,
+            exports: null
+        });
+        node.symbolTable = symbolTable;
+        this.unitPath.push(node);
+
+        // The interface section. Only what's declared here is exported, not the
+        // symbols of the units it uses.
+        this._expectReservedWord("interface");
+        var declarations = [];
+        if (this.lexer.peek().isReservedWord("uses")) {
+            declarations = this._parseUsesDeclaration(symbolTable);
+        }
+        var imported = symbolTable.getDeclarations();
+        while (!this.lexer.peek().isReservedWord("implementation")) {
+            var token = this.lexer.peek();
+            if (token.isReservedWord("procedure") || token.isReservedWord("function")) {
+                // Only the header. The body comes in the implementation section.
+                declarations.push(this._parseSubprogramDeclaration(symbolTable,
+                    token.isReservedWord("procedure") ? Node.PROCEDURE : Node.FUNCTION, true));
+            } else if (token.isReservedWord("var") || token.isReservedWord("const") ||
+                       token.isReservedWord("type")) {
+
+                declarations.push.apply(declarations, this._parseDeclaration(symbolTable));
+            } else {
+                throw new PascalError(token, "expected \"implementation\"");
+            }
+        }
+        node.exports = symbolTable.getExports(imported);
+        node.declarations = declarations;
+        programSymbolTable.totalVariableSize = symbolTable.totalVariableSize;
+
+        // The implementation section may use the units whose interface sections
+        // are still being parsed, so it must wait for them.
+        for (var i = 0; i < this.unitPath.length; i++) {
+            if (this.unitPath[i].exports === null) {
+                this.unitPath.pop();
+                this.pendingUnits.push({
+                    parser: this,
+                    unit: node
+                });
+                return node;
+            }
+        }
+
+        // Otherwise all the interface sections are known, including those of the
+        // units that were waiting for this one.
+        while (this.pendingUnits.length > 0) {
+            var pendingUnit = this.pendingUnits.shift();
+            pendingUnit.parser._parseUnitImplementation(programSymbolTable, pendingUnit.unit);
+        }
+        this.unitPath.pop();
+        this._parseUnitImplementation(programSymbolTable, node);
+
+        return node;
+    };
+
+    // Parse the rest of a unit after its interface section. Its variables go at the
+    // end of the frame of the symbol table.
+    Parser.prototype._parseUnitImplementation = function (programSymbolTable, node) {
+        var symbolTable = node.symbolTable;
+        symbolTable.totalVariableSize = programSymbolTable.totalVariableSize;
+        this.unitPath.push(node);
+
+        // The implementation section, including the bodies of the procedures and
+        // functions of the interface section.
+        this._expectReservedWord("implementation");
+        node.declarations.push.apply(node.declarations, this._parseDeclarations(symbolTable));
+
+        // The optional initialization section.
+        var block;
+        if (this.lexer.peek().isReservedWord("begin")) {
+            block = this._parseBlock(symbolTable, "begin", "end");
+        } else {
+            block = new Node(Node.BLOCK, this._expectReservedWord("end"), {
+                statements: []
+            });
+        }
+        this._checkGotos(symbolTable);
+        this._expectSymbol(".");
+
+        // Make room for the unit's variables in the program's frame.
+        programSymbolTable.totalVariableSize = symbolTable.totalVariableSize;
+
+        node.block = block;
+        this.unitPath.pop();
+
+        // The units it uses have already been added, so this keeps them in the
+        // order they must be initialized.
+        this.units.push(node);
+    };
+
     // Parse "var" declaration, which is a variable and its type. Returns a list of nodes.
     Parser.prototype._parseVarDeclaration = function (symbolTable) {
         var nodes = [];
@@ -198,7 +493,7 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             var node;
             if (type === null) {
                 // Constant.
-                var expression = this._parseExpression(symbolTable);
+                var expression = this._parseConstantExpression(symbolTable);
                 node = new Node(Node.CONST, null, {
                     name: identifierNode,
                     type: expression.expressionType,
@@ -206,19 +501,8 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                 });
             } else {
                 // Typed constant.
-                var rawData;
-
-                // XXX We need to verify type compatibility throughout here.
-                if (type.nodeType === Node.ARRAY_TYPE) {
-                    rawData = this._parseArrayConstant(symbolTable, type);
-                } else if (type.nodeType === Node.RECORD_TYPE) {
-                    throw new PascalError(token, "constant records not supported");
-                } else if (type.nodeType === Node.SIMPLE_TYPE) {
-                    rawData = new RawData();
-                    rawData.addNode(this._parseExpression(symbolTable));
-                } else {
-                    throw new PascalError(token, "unhandled typed constant type " + type.nodeType);
-                }
+                var rawData = new RawData();
+                this._parseTypedConstantValue(symbolTable, type, rawData);
 
                 node = new Node(Node.TYPED_CONST, null, {
                     name: identifierNode,
@@ -242,16 +526,34 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return nodes;
     };
 
-    // Parse an array constant, which is a parenthesized list of constants. These
-    // can be nested for multi-dimensional arrays. Returns a RawData object.
-    Parser.prototype._parseArrayConstant = function (symbolTable, type) {
-        // The raw linear (in-memory) version of the data.
-        var rawData = new RawData();
+    // Parse the value of a typed constant of the type and add it to the raw data.
+    // Arrays and records are parenthesized lists of values, which can nest.
+    Parser.prototype._parseTypedConstantValue = function (symbolTable, type, rawData) {
+        if (type.nodeType === Node.ARRAY_TYPE) {
+            this._parseArrayConstant(symbolTable, type, rawData);
+        } else if (type.nodeType === Node.RECORD_TYPE) {
+            this._parseRecordConstant(symbolTable, type, rawData);
+        } else if (type.nodeType === Node.SIMPLE_TYPE || type.nodeType === Node.ENUM_TYPE ||
+                   type.nodeType === Node.SET_TYPE) {
+
+            var expression = this._parseConstantExpression(symbolTable);
+
+            // Only checks that the value fits. Integers and reals are both
+            // stored as numbers, so there's nothing to convert.
+            expression.castToType(type);
+            rawData.add(expression.getConstantValue(), type.getSimpleTypeCode());
+        } else {
+            throw new PascalError(this.lexer.peek(), "unhandled typed constant type " +
+                                  type.nodeType);
+        }
+    };
 
+    // Parse an array constant, which is a parenthesized list of values. These
+    // are nested for multi-dimensional arrays. Adds the elements to the raw data.
+    Parser.prototype._parseArrayConstant = function (symbolTable, type, rawData) {
         // Recursive function to parse a dimension of the array. The first
         // dimension (ranges[0]) is the "major" one, and we recurse until
-        // the last dimension, where we actually parse the constant
-        // expressions.
+        // the last dimension, where we actually parse the element values.
         var self = this;
         var parseDimension = function (d) {
             self._expectSymbol("(");
@@ -260,8 +562,8 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             var high = type.ranges[d].getRangeHighBound();
             for (var i = low; i <= high; i++) {
                 if (d === type.ranges.length - 1) {
-                    // Parse the next constant.
-                    rawData.addNode(self._parseExpression(symbolTable));
+                    // Parse the next element.
+                    self._parseTypedConstantValue(symbolTable, type.elementType, rawData);
                 } else {
                     parseDimension(d + 1);
                 }
@@ -275,8 +577,50 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
         // Start the recursion.
         parseDimension(0);
+    };
+
+    // Parse a record constant, such as "(Name: 'Mercury'; Mass: 0.33)", and add
+    // its fields to the raw data. The fields must be given in the order they're
+    // declared. Of the variant part, only the fields of one variant can be given,
+    // and the rest is padded.
+    Parser.prototype._parseRecordConstant = function (symbolTable, type, rawData) {
+        var start = rawData.length;
+        var variantPart = type.variantPart;
+
+        // Offset of the variant part. The fields before it are required.
+        var requiredSize = variantPart === null ? type.getTypeSize() :
+            variantPart.tagField === null ? variantPart.offset : variantPart.tagField.offset;
+
+        this._expectSymbol("(");
+        do {
+            var token = this._expectIdentifier("expected field name");
+            var field = type.findField(token);
+            if (field === null) {
+                throw new PascalError(token, "unknown field " + token.value);
+            }
 
-        return rawData;
+            // Each field must start where the previous one ended.
+            var offset = rawData.length - start;
+            if (field.offset < offset) {
+                throw new PascalError(token, "field " + token.value + " is out of order");
+            }
+            if (field.offset > offset) {
+                throw new PascalError(token, "missing field before " + token.value);
+            }
+
+            this._expectSymbol(":");
+            this._parseTypedConstantValue(symbolTable, field.type, rawData);
+        } while (this._moreToCome(";", ")"));
+        var endToken = this._expectSymbol(")");
+
+        if (rawData.length - start < requiredSize) {
+            throw new PascalError(endToken, "missing fields in record constant");
+        }
+
+        // Pad the unused part of the variants.
+        while (rawData.length - start < type.getTypeSize()) {
+            rawData.add(0, inst.I);
+        }
     };
 
     // Parse "type" declaration, which is an identifier and a type. Returns an
@@ -297,8 +641,14 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             // Required equal sign.
             var equalToken = this._expectSymbol("=");
 
-            // Parse type.
-            var type = this._parseType(symbolTable, incompleteTypes);
+            // Parse type. Object types need their name, since they're added to
+            // the table early.
+            var type;
+            if (this.lexer.peek().isReservedWord("object")) {
+                type = this._parseObjectType(symbolTable, token, incompleteTypes);
+            } else {
+                type = this._parseType(symbolTable, incompleteTypes);
+            }
 
             // Create the node.
             var node = new Node(Node.TYPE, equalToken, {
@@ -325,55 +675,62 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return nodes;
     };
 
-    // Parse procedure, function, or program declaration.
-    Parser.prototype._parseSubprogramDeclaration = function (symbolTable, nodeType) {
+    // Parse procedure, function, or program declaration. In the interface section
+    // of a unit, only the header is given ("headerOnly"), as if it were forward.
+    Parser.prototype._parseSubprogramDeclaration = function (symbolTable, nodeType, headerOnly) {
         // Get the string like "procedure", etc.
         var declType = Node.nodeLabel[nodeType];
 
-        // Parse the opening token.
-        var procedureToken = this._expectReservedWord(declType);
+        // Parse the opening token. Constructors and destructors are procedures.
+        var procedureToken = this.lexer.peek();
+        if (nodeType === Node.PROCEDURE && (procedureToken.isReservedWord("constructor") ||
+                                            procedureToken.isReservedWord("destructor"))) {
+
+            this.lexer.next();
+        } else {
+            procedureToken = this._expectReservedWord(declType);
+        }
 
-        // Parse the name.
+        // Parse the name. Methods are named after their object type, as in "TShape.Draw".
         var nameToken = this._expectIdentifier("expected " + declType + " name");
+        var method = null;
+        if (nodeType !== Node.PROGRAM && this.lexer.peek().isSymbol(".")) {
+            this._expectSymbol(".");
+            var typeToken = nameToken;
+            nameToken = this._expectIdentifier("expected method name");
+            method = this._getMethodToImplement(symbolTable, procedureToken, typeToken, nameToken);
+        } else if (!procedureToken.isReservedWord(declType)) {
+            throw new PascalError(nameToken, "expected object type before " +
+                                  procedureToken.value.toLowerCase() + " name");
+        }
+
+        // See if this is the body of an earlier forward declaration or method heading.
+        var forwardSymbol;
+        if (method !== null) {
+            forwardSymbol = method.symbol;
+        } else if (nodeType === Node.PROGRAM) {
+            forwardSymbol = null;
+        } else {
+            forwardSymbol = symbolTable.getForwardSymbol(nameToken);
+        }
 
         // From now on we're in our own table.
         var symbolTable = new SymbolTable(symbolTable);
 
-        // Parse the parameters.
-        var token = this.lexer.peek();
-        var parameters = [];
-        if (token.isSymbol("(")) {
-            this._expectSymbol("(");
-
-            var start = 0;
-            do {
-                var byReference = false;
-
-                // See if we're passing this batch by reference.
-                if (this.lexer.peek().isReservedWord("var")) {
-                    this._expectReservedWord("var");
-                    byReference = true;
-                }
-
-                // Parameters can be batched by type.
-                do {
-                    token = this._expectIdentifier("expected parameter name");
-                    parameters.push(new Node(Node.PARAMETER, colon, {
-                        name: new Node(Node.IDENTIFIER, token),
-                        byReference: byReference
-                    }));
-                } while (this._moreToCome(",", ":"));
-                var colon = this._expectSymbol(":");
-
-                // Add the type to each parameter.
-                var type = this._parseType(symbolTable);
-                for (var i = start; i < parameters.length; i++) {
-                    parameters[i].type = type;
-                }
-                start = parameters.length;
-            } while (this._moreToCome(";", ")"));
+        // Parse the parameters. The body of a forward declaration can leave out
+        // the parameters and return type.
+        var parameters;
+        var omitHeader = forwardSymbol !== null && this.lexer.peek().isSymbol(";");
+        if (omitHeader) {
+            parameters = forwardSymbol.type.parameters;
+        } else {
+            parameters = this._parseParameters(symbolTable);
+        }
 
-            this._expectSymbol(")");
+        // Methods are passed the object by reference, before the other parameters.
+        var selfSymbol = null;
+        if (method !== null) {
+            selfSymbol = symbolTable.addSymbol("Self", Node.PARAMETER, method.objectType, true);
         }
 
         // Add parameters to our own symbol table.
@@ -381,11 +738,14 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             var parameter = parameters[i];
             var symbol = symbolTable.addSymbol(parameter.name.token.value, Node.PARAMETER,
                                                parameter.type, parameter.byReference);
+            symbol.isConst = parameter.isConst;
         }
 
         // Parse the return type if it's a function.
         var returnType;
-        if (nodeType === Node.FUNCTION) {
+        if (omitHeader) {
+            returnType = forwardSymbol.type.returnType;
+        } else if (nodeType === Node.FUNCTION) {
             this._expectSymbol(":");
             returnType = this._parseType(symbolTable);
         } else {
@@ -406,15 +766,62 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             returnType: returnType,
         });
 
-        // Add the procedure to our parent symbol table.
-        var symbol = symbolTable.parentSymbolTable.addSymbol(nameToken.value,
+        var symbol;
+        if (forwardSymbol !== null) {
+            // Calls parsed since the forward declaration refer to its symbol, so
+            // keep using it. The compiler fixes up their addresses.
+            this._checkForwardSignature(nameToken, forwardSymbol.type, type);
+            symbol = forwardSymbol;
+            symbol.isForward = false;
+        } else {
+            // Add the procedure to our parent symbol table.
+            symbol = symbolTable.parentSymbolTable.addSymbol(nameToken.value,
                                                              Node.SUBPROGRAM_TYPE, type);
+        }
+
+        // The "forward" directive takes the place of the declarations and body.
+        var token = this.lexer.peek();
+        var isForward = forwardSymbol === null && nodeType !== Node.PROGRAM &&
+            token.tokenType === Token.IDENTIFIER && token.value.toLowerCase() === "forward";
+        if (isForward || headerOnly) {
+            if (isForward) {
+                this.lexer.next();
+                this._expectSymbol(";");
+            }
+            symbol.isForward = true;
+
+            var forwardNode = new Node(Node.FORWARD, procedureToken, {
+                name: new Node(Node.IDENTIFIER, nameToken),
+                subprogramType: nodeType
+            });
+            forwardNode.symbol = symbol;
+            forwardNode.expressionType = type;
+
+            return forwardNode;
+        }
+
+        // The object's fields and methods can be used by name in a method. They're
+        // found through a pointer that has the address passed in Self.
+        if (method !== null) {
+            symbolTable.method = method;
+            symbolTable.selfSymbol = new Symbol("(self)", new Node(Node.SIMPLE_TYPE, nameToken, {
+                typeCode: inst.A,
+                typeName: "AD-HOC",
+                type: method.objectType
+            }), selfSymbol.address, false);
+
+            // Show the type in the name of the method, as in "TShape.Draw".
+            var lineNumber = nameToken.lineNumber;
+            nameToken = new Token(symbol.name, Token.IDENTIFIER);
+            nameToken.lineNumber = lineNumber;
+        }
 
         // Parse declarations.
         var declarations = this._parseDeclarations(symbolTable);
 
         // Parse begin/end block.
         var block = this._parseBlock(symbolTable, "begin", "end");
+        this._checkGotos(symbolTable);
 
         // Make node.
         var node = new Node(nodeType, procedureToken, {
@@ -432,10 +839,203 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return node;
     };
 
+    // Returns the METHOD node of the object type that the body being parsed, such
+    // as "procedure TShape.Draw", implements. The kind token is the reserved word
+    // that starts the body.
+    Parser.prototype._getMethodToImplement = function (symbolTable, kindToken, typeToken,
+                                                       nameToken) {
+
+        var type = symbolTable.getType(typeToken).symbol.type;
+        if (type.nodeType !== Node.OBJECT_TYPE) {
+            throw new PascalError(typeToken, "expected an object type");
+        }
+        if (symbolTable.getGlobalLevel() !== 0) {
+            throw new PascalError(nameToken, "methods must be implemented at the outermost level");
+        }
+
+        var method = type.findMethod(nameToken);
+        if (method === null || method.objectType !== type) {
+            throw new PascalError(nameToken, "no method " + nameToken.value + " in " +
+                                  typeToken.value);
+        }
+        if (!kindToken.isReservedWord(method.kind)) {
+            throw new PascalError(kindToken, "expected " + method.kind);
+        }
+        if (!method.symbol.isForward) {
+            throw new PascalError(nameToken, "method " + method.symbol.name +
+                                  " already has a body");
+        }
+
+        return method;
+    };
+
+    // Throws if the type of a procedure or function's body doesn't match the type
+    // given in its forward declaration.
+    Parser.prototype._checkForwardSignature = function (token, forwardType, type) {
+        var message = "header doesn't match forward declaration";
+
+        if (type.parameters.length !== forwardType.parameters.length ||
+            !type.returnType.isSameType(forwardType.returnType)) {
+
+            throw new PascalError(token, message);
+        }
+
+        for (var i = 0; i < type.parameters.length; i++) {
+            var parameter = type.parameters[i];
+            var forwardParameter = forwardType.parameters[i];
+
+            if (parameter.name.token.value.toLowerCase() !==
+                forwardParameter.name.token.value.toLowerCase() ||
+                parameter.byReference !== forwardParameter.byReference ||
+                parameter.isConst !== forwardParameter.isConst ||
+                parameter.isCopied !== forwardParameter.isCopied ||
+                !parameter.type.isSameType(forwardParameter.type)) {
+
+                throw new PascalError(parameter.name.token, message);
+            }
+        }
+    };
+
+    // Parse the parameter list of a procedure, function, or procedural type, if any.
+    // Returns a list of PARAMETER nodes.
+    Parser.prototype._parseParameters = function (symbolTable) {
+        var parameters = [];
+
+        if (!this.lexer.peek().isSymbol("(")) {
+            return parameters;
+        }
+        this._expectSymbol("(");
+
+        var start = 0;
+        do {
+            var token = this.lexer.peek();
+
+            if (token.isReservedWord("procedure") || token.isReservedWord("function")) {
+                // ISO-style procedural parameter, such as "function f(x: Real): Real".
+                this.lexer.next();
+                var nameToken = this._expectIdentifier("expected parameter name");
+                parameters.push(new Node(Node.PARAMETER, nameToken, {
+                    name: new Node(Node.IDENTIFIER, nameToken),
+                    type: this._parseProceduralType(symbolTable, token),
+                    byReference: false,
+                    isConst: false,
+                    isCopied: false
+                }));
+                start = parameters.length;
+                continue;
+            }
+
+            // See if we're passing this batch by reference or as constants.
+            var isVar = token.isReservedWord("var");
+            var isConst = token.isReservedWord("const");
+            if (isVar || isConst) {
+                this.lexer.next();
+            }
+
+            // Parameters can be batched by type.
+            while (true) {
+                token = this._expectIdentifier("expected parameter name");
+                parameters.push(new Node(Node.PARAMETER, token, {
+                    name: new Node(Node.IDENTIFIER, token)
+                }));
+                if (!this.lexer.peek().isSymbol(",")) {
+                    break;
+                }
+                this._expectSymbol(",");
+            }
+
+            // Var and const parameters can be untyped, taking variables of any type.
+            var type;
+            if ((isVar || isConst) && !this.lexer.peek().isSymbol(":")) {
+                type = Node.voidType;
+            } else {
+                this._expectSymbol(":");
+                type = this._parseParameterType(symbolTable);
+            }
+
+            // Structured constants are passed by reference so that they're not
+            // copied. Open arrays always are, and the procedure copies those passed
+            // by value.
+            var isStructured = type.nodeType === Node.ARRAY_TYPE ||
+                type.nodeType === Node.RECORD_TYPE || type.nodeType === Node.OBJECT_TYPE;
+            var byReference = isVar || type.isOpenArrayType() ||
+                (isConst && (isStructured || type.isVoidType()));
+            var isCopied = !isVar && !isConst && type.isOpenArrayType();
+
+            // Add the type to each parameter.
+            for (var i = start; i < parameters.length; i++) {
+                parameters[i].type = type;
+                parameters[i].byReference = byReference;
+                parameters[i].isConst = isConst;
+                parameters[i].isCopied = isCopied;
+            }
+            start = parameters.length;
+        } while (this._moreToCome(";", ")"));
+
+        this._expectSymbol(")");
+
+        return parameters;
+    };
+
+    // Parse the type of a parameter. Besides the usual types, this can be an open
+    // array, such as "array of Integer", which takes arrays of any size.
+    Parser.prototype._parseParameterType = function (symbolTable) {
+        var token = this.lexer.peek();
+        if (!token.isReservedWord("array")) {
+            return this._parseType(symbolTable);
+        }
+
+        this.lexer.next();
+        if (this.lexer.peek().isSymbol("[")) {
+            throw new PascalError(token, "parameter types must be named or open arrays");
+        }
+        this._expectReservedWord("of");
+        var elementType = this._parseType(symbolTable);
+
+        var node = new Node(Node.ARRAY_TYPE, token, {
+            elementType: elementType,
+            ranges: [new Node(Node.RANGE, token, {
+                low: Node.makeNumberNode(0).withExpressionType(Node.integerType),
+                high: null
+            })],
+            isOpen: true
+        });
+        node.expressionType = node;
+
+        return node;
+    };
+
+    // Parse a procedural type, such as "function (a, b: Integer): Boolean". The
+    // "procedure" or "function" token has already been eaten.
+    Parser.prototype._parseProceduralType = function (symbolTable, token) {
+        var parameters = this._parseParameters(symbolTable);
+        var returnType;
+
+        if (token.isReservedWord("function")) {
+            this._expectSymbol(":");
+            returnType = this._parseType(symbolTable);
+        } else {
+            returnType = Node.voidType;
+        }
+
+        return new Node(Node.PROCEDURAL_TYPE, token, {
+            parameters: parameters,
+            returnType: returnType
+        });
+    };
+
     // Parse a begin/end block. The startWord must be the next token. The endWord
     // will end the block and is eaten.
     Parser.prototype._parseBlock = function (symbolTable, startWord, endWord) {
-        var token = this._expectReservedWord(startWord);
+        this._expectReservedWord(startWord);
+
+        return this._parseStatements(symbolTable, endWord);
+    };
+
+    // Parse a list of statements separated by semicolons. The endWord will end
+    // the list and is eaten. Returns a block node.
+    Parser.prototype._parseStatements = function (symbolTable, endWord) {
+        var token;
         var statements = [];
 
         var foundEnd = false;
@@ -470,6 +1070,15 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         var token = this.lexer.peek();
         var node;
 
+        // Statements can be prefixed by a label.
+        if (token.tokenType === Token.NUMBER ||
+            (token.tokenType === Token.IDENTIFIER && symbolTable.isLabel(token))) {
+
+            return this._parseLabeledStatement(symbolTable);
+        }
+
+        this.statementPath.push(++this.statementCount);
+
         // Handle simple constructs.
         if (token.isReservedWord("if")) {
             node = this._parseIfStatement(symbolTable);
@@ -479,19 +1088,43 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             node = this._parseRepeatStatement(symbolTable);
         } else if (token.isReservedWord("for")) {
             node = this._parseForStatement(symbolTable);
+        } else if (token.isReservedWord("case")) {
+            node = this._parseCaseStatement(symbolTable);
+        } else if (token.isReservedWord("with")) {
+            node = this._parseWithStatement(symbolTable);
         } else if (token.isReservedWord("begin")) {
             node = this._parseBlock(symbolTable, "begin", "end");
         } else if (token.isReservedWord("exit")) {
             node = this._parseExitStatement(symbolTable);
+        } else if (this._isLoopJump(symbolTable, token)) {
+            node = this._parseLoopJumpStatement(symbolTable);
+        } else if (token.isReservedWord("goto")) {
+            node = this._parseGotoStatement(symbolTable);
+        } else if (token.isReservedWord("inherited")) {
+            node = this._parseInheritedCall(symbolTable);
+            if (!node.expressionType.isVoidType()) {
+                throw new PascalError(token, "expected procedure");
+            }
         } else if (token.tokenType === Token.IDENTIFIER) {
             // This could be an assignment or procedure call. Both start with an identifier.
             node = this._parseVariable(symbolTable);
 
             // See if this is an assignment or procedure call.
             token = this.lexer.peek();
-            if (token.isSymbol(":=")) {
+            if (node.nodeType === Node.METHOD_CALL) {
+                // Already parsed the whole call.
+                if (!node.expressionType.isVoidType()) {
+                    throw new PascalError(node.token, "expected procedure");
+                }
+            } else if (token.isSymbol(":=")) {
                 // It's an assignment.
                 node = this._parseAssignment(symbolTable, node);
+            } else if (node.expressionType.nodeType === Node.PROCEDURAL_TYPE) {
+                // Call through a procedural variable.
+                if (!node.expressionType.returnType.isVoidType()) {
+                    throw new PascalError(node.token, "expected procedure");
+                }
+                node = this._parseIndirectCall(symbolTable, node);
             } else if (node.nodeType === Node.IDENTIFIER) {
                 // Must be a procedure call.
                 node = this._parseProcedureCall(symbolTable, node);
@@ -502,35 +1135,103 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             throw new PascalError(token, "invalid statement");
         }
 
+        this.statementPath.pop();
+
         return node;
     };
 
+    // Parse a statement prefixed by a label, such as "10: x := 5". The statement
+    // can be empty, as in "99: end".
+    Parser.prototype._parseLabeledStatement = function (symbolTable) {
+        var token = this._expectLabel();
+        var label = symbolTable.getLabel(token);
+        if (label.level > 0) {
+            throw new PascalError(token, "label must be declared in this procedure");
+        }
+        label = label.symbol;
+        if (label.statement !== null) {
+            throw new PascalError(token, "label defined more than once");
+        }
+        this._expectSymbol(":");
+
+        var node = new Node(Node.LABELED_STATEMENT, token, {
+            label: label,
+            statement: null,
+            path: this.statementPath.slice(0)
+        });
+        label.statement = node;
+
+        token = this.lexer.peek();
+        if (token.isSymbol(";") || token.isReservedWord("end") ||
+            token.isReservedWord("until") || token.isReservedWord("else")) {
+
+            node.statement = new Node(Node.BLOCK, token, {
+                statements: []
+            });
+        } else {
+            node.statement = this._parseStatement(symbolTable);
+        }
+
+        return node;
+    };
     // Parse a variable. A variable isn't just an identifier, like "foo", it can also
     // be an array dereference, like "variable[index]", a field designator, like
     // "variable.fieldName", or a pointer dereference, like "variable^". In all
-    // three cases the "variable" part is itself a variable. This function always
-    // returns a node of type IDENTIFIER, ARRAY, FIELD_DESIGNATOR, or DEREFERENCE.
+    // three cases the "variable" part is itself a variable. It can also start with
+    // a typecast, like "PNode(p)^.next". This function always returns a node of
+    // type IDENTIFIER, ARRAY, FIELD_DESIGNATOR, DEREFERENCE, or TYPECAST.
     Parser.prototype._parseVariable = function (symbolTable) {
         // Variables always start with an identifier.
         var identifierToken = this._expectIdentifier("expected identifier");
 
-        // Create an identifier node for this token.
-        var node = new Node(Node.IDENTIFIER, identifierToken);
+        var node;
+        var isTypecast = this.lexer.peek().isSymbol("(") && symbolTable.hasType(identifierToken);
+        if (this.lexer.peek().isSymbol(".") && symbolTable.hasType(identifierToken)) {
+            // Method of an object type, such as "TShape.Init(n)". Nothing can
+            // follow a method call.
+            return this._parseQualifiedMethodCall(symbolTable, identifierToken);
+        }
+        var withField = isTypecast ? null : symbolTable.getWithField(identifierToken);
+        var withMethod = isTypecast || withField !== null ? null :
+            symbolTable.getWithMethod(identifierToken);
+        if (isTypecast) {
+            node = this._parseTypecast(symbolTable, identifierToken);
+        } else if (withField !== null) {
+            // Field of the record of an enclosing "with" statement. These hide
+            // other symbols of the same name.
+            node = this._makeWithFieldNode(identifierToken, withField);
+        } else if (withMethod !== null) {
+            // Method of the object of an enclosing "with" statement or of Self.
+            // Nothing can follow a method call.
+            return this._parseMethodCall(symbolTable, identifierToken,
+                this._makeWithRecordNode(identifierToken, withMethod.symbolLookup),
+                withMethod.method, false);
+        } else {
+            // Create an identifier node for this token.
+            node = new Node(Node.IDENTIFIER, identifierToken);
 
-        // Look up the symbol so we can set its type.
-        var symbolLookup = symbolTable.getSymbol(identifierToken);
-        node.symbolLookup = symbolLookup;
-        node.expressionType = symbolLookup.symbol.type;
+            // Look up the symbol so we can set its type.
+            var symbolLookup = symbolTable.getSymbol(identifierToken);
+            node.symbolLookup = symbolLookup;
+            node.expressionType = symbolLookup.symbol.type;
+        }
 
         // The next token determines whether the variable continues or ends here.
         while (true) {
             var nextToken = this.lexer.peek();
-            if (nextToken.isSymbol("[")) {
+            if (nextToken.isSymbol("[") && node.expressionType.isSimpleType(inst.S)) {
+                // Replace the node with a character of the string.
+                node = this._parseStringIndex(symbolTable, node);
+            } else if (nextToken.isSymbol("[")) {
                 // Replace the node with an array node.
                 node = this._parseArrayDereference(symbolTable, node);
             } else if (nextToken.isSymbol(".")) {
-                // Replace the node with a record designator node.
+                // Replace the node with a record designator node. It's a method
+                // call if it names a method, and nothing can follow that.
                 node = this._parseRecordDesignator(symbolTable, node);
+                if (node.nodeType === Node.METHOD_CALL) {
+                    break;
+                }
             } else if (nextToken.isSymbol("^")) {
                 // Replace the node with a pointer dereference.
                 this._expectSymbol("^");
@@ -541,7 +1242,10 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                 node = new Node(Node.DEREFERENCE, nextToken, {
                     variable: node
                 });
-                node.expressionType = variable.expressionType.type;
+
+                // An untyped pointer points to an untyped variable, which can only
+                // be passed to an untyped var parameter.
+                node.expressionType = variable.expressionType.type || Node.voidType;
             } else {
                 // We're done with the variable.
                 break;
@@ -551,11 +1255,172 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return node;
     };
 
-    // Parse an assignment. We already have the left-hand-side variable.
+    // Parse a value typecast, such as "Integer(ch)". We've already parsed the
+    // type's name. Ordinal types can be cast to each other, and so can pointers
+    // and integers. An untyped variable, such as an untyped var parameter, can
+    // be seen as a variable of any type, as in "TBytes(buffer)[0]".
+    Parser.prototype._parseTypecast = function (symbolTable, typeToken) {
+        var type = symbolTable.getType(typeToken).symbol.type;
+
+        this._expectSymbol("(");
+        this.allowUntypedVariable = true;
+        var expression = this._parseExpression(symbolTable);
+        this._expectSymbol(")");
+
+        var expressionType = expression.expressionType;
+        if (expressionType.isVoidType()) {
+            if (expression.nodeType !== Node.IDENTIFIER &&
+                expression.nodeType !== Node.DEREFERENCE) {
+
+                throw new PascalError(expression.token,
+                                      "can't use untyped variable in expression");
+            }
+
+            // Like "TBytes(Addr(buffer)^)".
+            return new Node(Node.DEREFERENCE, typeToken, {
+                variable: this._makeAddressOfNode(typeToken, expression)
+            }).withExpressionType(type);
+        }
+        if (type.isSameType(expressionType)) {
+            return expression;
+        }
+
+        var isPointerOrInteger = function (t) {
+            return t.isSimpleType(inst.A) || t.isSimpleType(inst.I);
+        };
+        if (type.isOrdinalType() && expressionType.isOrdinalType()) {
+            if (expression.isConstant()) {
+                var value = expression.getOrdinalValue();
+                var low = type.getTypeLowBound();
+                var high = type.getTypeHighBound();
+                if (type.isSimpleType(inst.I) || type.isSimpleType(inst.C)) {
+                    // Wrap around, like the conversion at run time.
+                    var size = high - low + 1;
+                    value = ((value - low) % size + size) % size + low;
+                } else if (type.nodeType === Node.ENUM_TYPE && (value < low || value > high)) {
+                    throw new PascalError(expression.token, "constant out of range for " +
+                                          type.print());
+                }
+                return Node.makeOrdinalNode(value, type);
+            }
+        } else if (!isPointerOrInteger(type) || !isPointerOrInteger(expressionType)) {
+            throw new PascalError(typeToken, "invalid typecast from " +
+                                  expressionType.print() + " to " + type.print());
+        }
+
+        return new Node(Node.TYPECAST, typeToken, {
+            expression: expression
+        }).withExpressionType(type);
+    };
+
+    // Returns an ADDRESS_OF node for the variable, for "@" or Addr(). Like Turbo
+    // Pascal's default {$T-}, the result is an untyped pointer.
+    Parser.prototype._makeAddressOfNode = function (token, variable) {
+        if (!this._isVariable(variable)) {
+            throw new PascalError(variable.token, "can't take the address of " +
+                                  variable.print());
+        }
+
+        return new Node(Node.ADDRESS_OF, token, {
+            variable: variable
+        }).withExpressionType(Node.pointerType);
+    };
+
+    // Returns whether the node, parsed by _parseVariable(), is a variable with an
+    // address, rather than a constant, a subprogram, or a value.
+    Parser.prototype._isVariable = function (node) {
+        var symbol = node.nodeType === Node.IDENTIFIER ? node.symbolLookup.symbol : null;
+
+        return node.nodeType !== Node.STRING_INDEX && node.nodeType !== Node.TYPECAST &&
+            node.nodeType !== Node.METHOD_CALL &&
+            (symbol === null || (symbol.value === null &&
+                                 symbol.type.nodeType !== Node.SUBPROGRAM_TYPE));
+    };
+
+    // Throws unless the argument, parsed by _parseVariable(), is a variable that
+    // can be modified, as the arguments of var parameters must be.
+    Parser.prototype._checkVarArgument = function (argument) {
+        if (!this._isVariable(argument)) {
+            throw new PascalError(argument.token, "argument for var parameter must be a variable");
+        }
+        this._checkModifiable(argument);
+    };
+
+    // Throws if the variable is, or is part of, a parameter that can't be modified.
+    Parser.prototype._checkModifiable = function (variable) {
+        if (this._isReadOnly(variable)) {
+            throw new PascalError(variable.token, "can't modify read-only parameter");
+        }
+    };
+
+    // Returns whether the variable is, or is part of, a parameter that can't be
+    // modified, such as a const parameter.
+    Parser.prototype._isReadOnly = function (variable) {
+        var node = variable;
+        while (true) {
+            if (node.nodeType === Node.ARRAY || node.nodeType === Node.FIELD_DESIGNATOR ||
+                node.nodeType === Node.STRING_INDEX) {
+
+                node = node.variable;
+            } else if (node.nodeType === Node.DEREFERENCE &&
+                       node.variable.nodeType === Node.ADDRESS_OF) {
+
+                // Typecast of an untyped variable.
+                node = node.variable.variable;
+            } else {
+                break;
+            }
+        }
+
+        return (node.nodeType === Node.IDENTIFIER && node.symbolLookup.symbol.isConst) ||
+            (node.nodeType === Node.DEREFERENCE && node.isConst === true);
+    };
+
+    // Returns a node for a field used by name in a "with" statement. The record's
+    // address is in a temporary, so this is like "temporary^.field".
+    Parser.prototype._makeWithFieldNode = function (fieldToken, withField) {
+        var node = new Node(Node.FIELD_DESIGNATOR, fieldToken, {
+            variable: this._makeWithRecordNode(fieldToken, withField.symbolLookup),
+            field: withField.field
+        });
+        node.expressionType = withField.field.type;
+
+        return node;
+    };
+
+    // Returns a node for the record of a "with" statement (or the object of a
+    // method), given the lookup of the symbol that holds its address. This is
+    // like "temporary^".
+    Parser.prototype._makeWithRecordNode = function (token, symbolLookup) {
+        var symbol = symbolLookup.symbol;
+
+        var pointer = new Node(Node.IDENTIFIER, token);
+        pointer.symbolLookup = symbolLookup;
+        pointer.expressionType = symbol.type;
+
+        var record = new Node(Node.DEREFERENCE, token, {
+            variable: pointer
+        });
+        record.expressionType = symbol.type.type;
+        record.isConst = symbol.isConst;
+
+        return record;
+    };
+
+    // Parse an assignment. We already have the left-hand-side variable.
     Parser.prototype._parseAssignment = function (symbolTable, variable) {
         var assignToken = this._expectSymbol(":=");
+        if (variable.nodeType === Node.TYPECAST) {
+            throw new PascalError(variable.token, "can't assign to a typecast");
+        }
+        if (variable.expressionType.isVoidType()) {
+            throw new PascalError(variable.token, "can't assign to untyped variable");
+        }
+        this._checkModifiable(variable);
 
         var expression = this._parseExpression(symbolTable);
+        expression = this._convertToProceduralValue(symbolTable, expression,
+                                                    variable.expressionType);
         return new Node(Node.ASSIGNMENT, assignToken, {
             lhs: variable,
             rhs: expression.castToType(variable.expressionType)
@@ -572,30 +1437,118 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
         // Verify that it's a procedure.
         if (symbol.type.nodeType === Node.SUBPROGRAM_TYPE && symbol.type.returnType.isVoidType()) {
-            // Parse optional arguments.
-            var argumentList = this._parseArguments(symbolTable, symbol.type);
-
-            // If the call is to the native function "New", then we pass a hidden second
-            // parameter, the size of the object to allocate. The procedure needs that
-            // to know how much to allocate.
-            if (symbol.name.toLowerCase() === "new" && symbol.isNative) {
-                if (argumentList.length === 1) {
-                    argumentList.push(Node.makeNumberNode(
-                        argumentList[0].expressionType.type.getTypeSize()));
-                } else {
-                    throw new PascalError(identifier.token, "new() takes one argument");
-                }
+            // Parse optional arguments. Write(), WriteLn(), Read(), and ReadLn()
+            // have their own syntax.
+            // New() and Dispose() can also call a constructor or destructor.
+            var name = symbol.name.toLowerCase();
+            var argumentList;
+            var methodCall = null;
+            if ((name === "write" || name === "writeln") && symbol.isNative) {
+                argumentList = this._parseWriteArguments(symbolTable);
+            } else if ((name === "read" || name === "readln") && symbol.isNative) {
+                argumentList = this._parseReadArguments(symbolTable);
+            } else if (name === "new" && symbol.isNative) {
+                var newArguments = this._parseNewArguments(symbolTable, identifier.token);
+                argumentList = newArguments.argumentList;
+                methodCall = newArguments.methodCall;
+            } else if (name === "dispose" && symbol.isNative) {
+                var disposeArguments = this._parseDisposeArguments(symbolTable);
+                argumentList = disposeArguments.argumentList;
+                methodCall = disposeArguments.methodCall;
+            } else {
+                argumentList = this._parseArguments(symbolTable, symbol.type);
             }
 
-            return new Node(Node.PROCEDURE_CALL, identifier.token, {
+            var node = new Node(Node.PROCEDURE_CALL, identifier.token, {
                 name: identifier,
                 argumentList: argumentList
             });
+
+            // The constructor runs after the object is allocated, the destructor
+            // before it's freed.
+            if (methodCall !== null) {
+                node = new Node(Node.BLOCK, identifier.token, {
+                    statements: name === "new" ? [node, methodCall] : [methodCall, node]
+                });
+            }
+
+            return node;
         } else {
             throw new PascalError(identifier.token, "expected procedure");
         }
     };
 
+    // Parse a call through a procedural variable. We already have the variable,
+    // so we only need to parse the arguments. Returns a PROCEDURE_CALL or
+    // FUNCTION_CALL node whose name is the variable.
+    Parser.prototype._parseIndirectCall = function (symbolTable, variable) {
+        var type = variable.expressionType;
+        var argumentList = this._parseArguments(symbolTable, type);
+
+        if (argumentList.length !== type.parameters.length) {
+            throw new PascalError(variable.token, "expected " + type.parameters.length +
+                                  " arguments but got " + argumentList.length);
+        }
+
+        var node = new Node(type.returnType.isVoidType() ? Node.PROCEDURE_CALL :
+                            Node.FUNCTION_CALL, variable.token, {
+            name: variable,
+            argumentList: argumentList
+        });
+        node.expressionType = type.returnType;
+
+        return node;
+    };
+
+    // Returns a ROUTINE node for the address of the procedure or function named
+    // by the identifier, to be used as a procedural value.
+    Parser.prototype._makeRoutineNode = function (symbolTable, identifier) {
+        var symbolLookup = identifier.symbolLookup;
+        var symbol = symbolLookup.symbol;
+
+        if (symbol.isNative) {
+            throw new PascalError(identifier.token,
+                                  "can't use built-in " + symbol.name + " as a value");
+        }
+
+        // Nested routines need the frames of their enclosing routines, which may
+        // be gone by the time we call them.
+        if (symbolLookup.level !== symbolTable.getGlobalLevel()) {
+            throw new PascalError(identifier.token,
+                                  "only outermost procedures and functions can be values");
+        }
+
+        var node = new Node(Node.ROUTINE, identifier.token, {
+            name: identifier
+        });
+        node.expressionType = new Node(Node.PROCEDURAL_TYPE, identifier.token, {
+            parameters: symbol.type.parameters,
+            returnType: symbol.type.returnType
+        });
+
+        return node;
+    };
+
+    // A function that takes no arguments is called when it's named in an expression,
+    // but not when it's assigned or passed to something of procedural type. Undoes
+    // the call in that case. Returns the expression to use.
+    Parser.prototype._convertToProceduralValue = function (symbolTable, expression, type) {
+        if (type.nodeType !== Node.PROCEDURAL_TYPE ||
+            expression.nodeType !== Node.FUNCTION_CALL ||
+            expression.argumentList.length !== 0) {
+
+            return expression;
+        }
+
+        var name = expression.name;
+        if (name.expressionType.nodeType === Node.PROCEDURAL_TYPE) {
+            // Procedural variable, which is already a value.
+            return name;
+        } else {
+            return this._makeRoutineNode(symbolTable, name);
+        }
+    };
+
     // Parse an optional argument list. Returns a list of nodes. type is the
     // type of the subprogram being called.
     Parser.prototype._parseArguments = function (symbolTable, type) {
@@ -622,10 +1575,22 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                     }
 
                     var argument;
-                    if (parameter && parameter.byReference) {
+                    if (parameter && parameter.type.isOpenArrayType()) {
+                        argument = this._parseOpenArrayArgument(symbolTable, parameter);
+                    } else if (parameter && parameter.byReference) {
                         // This has to be a variable, not any expression, since
                         // we need its address.
-                        argument = this._parseVariable(symbolTable);
+                        token = this.lexer.peek();
+                        argument = token.tokenType === Token.IDENTIFIER ?
+                            this._parseVariable(symbolTable) : null;
+                        if (argument === null || !this._isVariable(argument)) {
+                            throw new PascalError(token, "argument for " +
+                                                  (parameter.isConst ? "const" : "var") +
+                                                  " parameter must be a variable");
+                        }
+                        if (!parameter.isConst) {
+                            this._checkModifiable(argument);
+                        }
 
                         // Hack this "byReference" field that'll be used by
                         // the compiler to pass the argument's address.
@@ -636,7 +1601,12 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
                     // Cast to type of parameter.
                     if (parameter) {
+                        argument = this._convertToProceduralValue(symbolTable, argument,
+                                                                  parameter.type);
                         argument = argument.castToType(parameter.type);
+                    } else if (argument.expressionType.nodeType === Node.ENUM_TYPE) {
+                        // Variadic functions get the name of enumerated values.
+                        argument = this._makeEnumNameNode(argument);
                     }
 
                     argumentList.push(argument);
@@ -648,6 +1618,351 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return argumentList;
     }
 
+    // Parse the argument for an open array parameter. It can be an array of any
+    // size whose elements have the parameter's element type.
+    Parser.prototype._parseOpenArrayArgument = function (symbolTable, parameter) {
+        var variable = this._parseVariable(symbolTable);
+        var type = variable.expressionType;
+        var parameterType = parameter.type;
+
+        if (type.nodeType !== Node.ARRAY_TYPE || type.ranges.length !== 1 ||
+            !type.elementType.isSameType(parameterType.elementType)) {
+
+            throw new PascalError(variable.token, "can't pass " + type.print() + " as " +
+                                  parameterType.print());
+        }
+        if (!parameter.isConst && !parameter.isCopied) {
+            this._checkModifiable(variable);
+        }
+
+        var high;
+        if (type.isOpen) {
+            high = this._makeOpenArrayHighNode(variable);
+        } else {
+            high = Node.makeNumberNode(type.ranges[0].getRangeSize() - 1).
+                withExpressionType(Node.integerType);
+        }
+
+        return new Node(Node.OPEN_ARRAY_ARGUMENT, variable.token, {
+            variable: variable,
+            high: high
+        }).withExpressionType(parameterType);
+    };
+
+    // Returns a node for the highest index of the open array parameter.
+    Parser.prototype._makeOpenArrayHighNode = function (variable) {
+        var symbolLookup = variable.symbolLookup;
+
+        var node = new Node(Node.IDENTIFIER, variable.token);
+        node.symbolLookup = new SymbolLookup(symbolLookup.symbol.highSymbol, symbolLookup.level);
+        node.expressionType = Node.integerType;
+
+        return node;
+    };
+
+    // Parse the optional argument list of Write() or WriteLn(). Each argument can
+    // have a field width and, for reals, a number of decimals, such as "x:8:2".
+    // Returns a list of nodes with four for each argument: the value, its type
+    // code (integers and reals look the same at runtime), the width (0 for none),
+    // and the number of decimals (-1 for none).
+    Parser.prototype._parseWriteArguments = function (symbolTable) {
+        var argumentList = [];
+
+        if (this.lexer.peek().isSymbol("(")) {
+            this._expectSymbol("(");
+            var token = this.lexer.peek();
+            if (token.isSymbol(")")) {
+                // Empty arguments.
+                this.lexer.next();
+            } else {
+                do {
+                    var argument = this._parseExpression(symbolTable);
+                    var type = argument.expressionType;
+                    if (type.nodeType === Node.ENUM_TYPE) {
+                        argument = this._makeEnumNameNode(argument);
+                    } else if (type.nodeType !== Node.SIMPLE_TYPE ||
+                               type.typeCode === inst.A || type.typeCode === inst.P) {
+
+                        throw new PascalError(argument.token, "can't write " + type.print());
+                    }
+                    var typeCode = argument.expressionType.typeCode;
+
+                    var width = Node.makeNumberNode(0).withExpressionType(Node.integerType);
+                    var decimals = Node.makeNumberNode(-1).withExpressionType(Node.integerType);
+                    if (this.lexer.peek().isSymbol(":")) {
+                        this._expectSymbol(":");
+                        width = this._parseExpression(symbolTable).castToType(Node.integerType);
+
+                        token = this.lexer.peek();
+                        if (token.isSymbol(":")) {
+                            if (typeCode !== inst.R) {
+                                throw new PascalError(token,
+                                                      "decimals can only be given for reals");
+                            }
+                            this._expectSymbol(":");
+                            decimals = this._parseExpression(symbolTable).
+                                castToType(Node.integerType);
+                        }
+                    }
+
+                    argumentList.push(argument,
+                                      Node.makeNumberNode(typeCode).
+                                          withExpressionType(Node.integerType),
+                                      width,
+                                      decimals);
+                } while (this._moreToCome(",", ")"));
+                this._expectSymbol(")");
+            }
+        }
+
+        return argumentList;
+    };
+
+    // Parse the optional argument list of Read() or ReadLn(). Each argument must be
+    // a variable of integer, real, char, or string type. Returns a list of nodes
+    // with two for each argument: the variable (passed by reference) and its type
+    // code, so that the input can be converted to the right type.
+    Parser.prototype._parseReadArguments = function (symbolTable) {
+        var argumentList = [];
+
+        if (this.lexer.peek().isSymbol("(")) {
+            this._expectSymbol("(");
+            var token = this.lexer.peek();
+            if (token.isSymbol(")")) {
+                // Empty arguments.
+                this.lexer.next();
+            } else {
+                do {
+                    // We need the variable's address to store into it.
+                    var argument = this._parseVariable(symbolTable);
+                    this._checkVarArgument(argument);
+                    argument.byReference = true;
+
+                    var type = argument.expressionType;
+                    if (type.nodeType !== Node.SIMPLE_TYPE ||
+                        (type.typeCode !== inst.I && type.typeCode !== inst.R &&
+                         type.typeCode !== inst.C && type.typeCode !== inst.S)) {
+
+                        throw new PascalError(argument.token, "can't read " + type.print());
+                    }
+
+                    argumentList.push(argument,
+                                      Node.makeNumberNode(type.typeCode).
+                                          withExpressionType(Node.integerType));
+                } while (this._moreToCome(",", ")"));
+                this._expectSymbol(")");
+            }
+        }
+
+        return argumentList;
+    };
+
+    // Parse the arguments of New(): a pointer variable and, if it points to a record
+    // with variants, optional tag constants that select the variants to allocate,
+    // such as "New(p, Circle)". If it points to an object, the second argument
+    // is instead an optional constructor call, such as "New(p, Init(5))". Returns
+    // an object with the "argumentList" and the constructor's "methodCall" (or
+    // null). The argument list has two nodes, the pointer (by reference) and a
+    // hidden second parameter, the size of the object to allocate. The procedure
+    // needs that to know how much to allocate.
+    Parser.prototype._parseNewArguments = function (symbolTable, token) {
+        this._expectSymbol("(", "new() takes a pointer");
+
+        var pointer = this._parseVariable(symbolTable);
+        this._checkVarArgument(pointer);
+        pointer.byReference = true;
+        var pointerType = pointer.expressionType;
+        if (!pointerType.isSimpleType(inst.A) || !pointerType.type) {
+            throw new PascalError(pointer.token, "new() takes a typed pointer");
+        }
+        var type = pointerType.type;
+
+        var tags = [];
+        var methodCall = null;
+        if (type.nodeType === Node.OBJECT_TYPE) {
+            if (this._moreToCome(",", ")")) {
+                methodCall = this._parsePointerMethodCall(symbolTable, pointer, "constructor");
+            }
+        } else {
+            while (this._moreToCome(",", ")")) {
+                var tag = this._parseExpression(symbolTable);
+                if (type.nodeType !== Node.RECORD_TYPE) {
+                    throw new PascalError(tag.token, "no variant part for this tag");
+                }
+                tags.push(tag);
+            }
+        }
+        this._expectSymbol(")");
+
+        var size = tags.length > 0 ? type.getVariantSize(tags) : type.getTypeSize();
+
+        return {
+            argumentList: [pointer, Node.makeNumberNode(size)],
+            methodCall: methodCall
+        };
+    };
+
+    // Parse the arguments of Dispose(): a pointer variable and, if it points to
+    // an object, an optional destructor call, such as "Dispose(p, Done)". If it
+    // points to a record with variants, it can instead be followed by the tag
+    // constants given to New(), which are ignored. Returns an object with the
+    // "argumentList" and the destructor's "methodCall" (or null).
+    Parser.prototype._parseDisposeArguments = function (symbolTable) {
+        this._expectSymbol("(", "dispose() takes a pointer");
+
+        var pointer = this._parseVariable(symbolTable);
+        this._checkVarArgument(pointer);
+        pointer.byReference = true;
+        if (!pointer.expressionType.isSimpleType(inst.A)) {
+            throw new PascalError(pointer.token, "dispose() takes a pointer");
+        }
+
+        var type = pointer.expressionType.type;
+        var methodCall = null;
+        if (type && type.nodeType === Node.OBJECT_TYPE) {
+            if (this._moreToCome(",", ")")) {
+                methodCall = this._parsePointerMethodCall(symbolTable, pointer, "destructor");
+            }
+        } else {
+            var tags = [];
+            while (this._moreToCome(",", ")")) {
+                var tag = this._parseExpression(symbolTable);
+                if (!type || type.nodeType !== Node.RECORD_TYPE) {
+                    throw new PascalError(tag.token, "no variant part for this tag");
+                }
+                tags.push(tag);
+            }
+
+            // The tags must still name variants, but the whole block is freed.
+            if (tags.length > 0) {
+                type.getVariantSize(tags);
+            }
+        }
+        this._expectSymbol(")");
+
+        return {
+            argumentList: [pointer],
+            methodCall: methodCall
+        };
+    };
+
+    // Parse a call to a constructor or destructor (the "kind") of the object that
+    // the pointer points to, in the extended syntax of New() and Dispose().
+    Parser.prototype._parsePointerMethodCall = function (symbolTable, pointer, kind) {
+        var token = this._expectIdentifier("expected " + kind + " name");
+
+        var object = new Node(Node.DEREFERENCE, token, {
+            variable: pointer
+        });
+        object.expressionType = pointer.expressionType.type;
+
+        var method = object.expressionType.findMethod(token);
+        if (method === null || method.kind !== kind) {
+            throw new PascalError(token, "expected " + kind + " of " +
+                                  object.expressionType.name.print());
+        }
+
+        return this._parseMethodCall(symbolTable, token, object, method, false);
+    };
+
+    // Parse the optional arguments of a call to the method of the object. If the
+    // call is static, the method is called even if it's virtual. Returns a
+    // METHOD_CALL node.
+    Parser.prototype._parseMethodCall = function (symbolTable, token, object, method,
+                                                  isStatic) {
+
+        var type = method.expressionType;
+        var argumentList = this._parseArguments(symbolTable, type);
+        if (argumentList.length !== type.parameters.length) {
+            throw new PascalError(token, "expected " + type.parameters.length +
+                                  " arguments but got " + argumentList.length);
+        }
+
+        var node = new Node(Node.METHOD_CALL, token, {
+            object: object,
+            method: method,
+            argumentList: argumentList,
+            isStatic: isStatic,
+            objectSymbol: null
+        });
+        node.expressionType = type.returnType;
+
+        // Virtual calls look up the method through the object, and constructors
+        // set the object's VMT, so they need the object's address twice.
+        var objectType = object.expressionType;
+        if (!isStatic && (method.isVirtual ||
+                          (method.kind === "constructor" && objectType.vmtOffset !== -1))) {
+
+            node.objectSymbol = symbolTable.addTemporary(Node.pointerType);
+        }
+
+        return node;
+    };
+
+    // Parse a call to an inherited method, such as "inherited Init(x)", from
+    // within a method. Returns a METHOD_CALL node.
+    Parser.prototype._parseInheritedCall = function (symbolTable) {
+        var token = this._expectReservedWord("inherited");
+        var nameToken = this._expectIdentifier("expected method name");
+
+        var method = symbolTable.getMethod();
+        if (method === null) {
+            throw new PascalError(token, "inherited can only be used in methods");
+        }
+        var parentType = method.objectType.parentType;
+        var inheritedMethod = parentType === null ? null : parentType.findMethod(nameToken);
+        if (inheritedMethod === null) {
+            throw new PascalError(nameToken, "no inherited method " + nameToken.value);
+        }
+
+        return this._parseMethodCall(symbolTable, nameToken, this._makeSelfNode(symbolTable),
+                                     inheritedMethod, true);
+    };
+
+    // Parse a call to a method of an object type, such as "TShape.Init(x)", from
+    // within a method of that type or of a descendant. We already have the type's
+    // name. Like an inherited call, it's static. Returns a METHOD_CALL node.
+    Parser.prototype._parseQualifiedMethodCall = function (symbolTable, typeToken) {
+        var objectType = symbolTable.getType(typeToken).symbol.type;
+        if (objectType.nodeType !== Node.OBJECT_TYPE) {
+            throw new PascalError(typeToken, "expected object type");
+        }
+        this._expectSymbol(".");
+        var nameToken = this._expectIdentifier("expected method name");
+
+        var method = symbolTable.getMethod();
+        if (method === null || !method.objectType.isDescendantOf(objectType)) {
+            throw new PascalError(typeToken, "methods of " + typeToken.value +
+                                  " can only be called this way from its own methods");
+        }
+        var qualifiedMethod = objectType.findMethod(nameToken);
+        if (qualifiedMethod === null) {
+            throw new PascalError(nameToken, "no method " + nameToken.value + " in " +
+                                  typeToken.value);
+        }
+
+        return this._parseMethodCall(symbolTable, nameToken, this._makeSelfNode(symbolTable),
+                                     qualifiedMethod, true);
+    };
+
+    // Returns an IDENTIFIER node for Self, the object of the method being parsed.
+    Parser.prototype._makeSelfNode = function (symbolTable) {
+        var self = new Node(Node.IDENTIFIER, new Token("Self", Token.IDENTIFIER));
+        self.symbolLookup = symbolTable.getSymbol(self.token);
+        self.expressionType = self.symbolLookup.symbol.type;
+
+        return self;
+    };
+
+    // Returns a node that evaluates to the name of the enumerated value of the
+    // expression, for printing.
+    Parser.prototype._makeEnumNameNode = function (expression) {
+        return new Node(Node.CAST, expression.token, {
+            type: Node.stringType,
+            expression: expression
+        }).withExpressionType(Node.stringType);
+    };
+
     // Parse an if statement.
     Parser.prototype._parseIfStatement = function (symbolTable) {
         var token = this._expectReservedWord("if");
@@ -688,7 +2003,9 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         this._expectReservedWord("do", "expected \"do\" for \"while\" loop");
 
         // Parse the statement. This can be a begin/end pair.
+        this.loopDepth++;
         var statement = this._parseStatement(symbolTable);
+        this.loopDepth--;
 
         // Create the node.
         return new Node(Node.WHILE, whileToken, {
@@ -699,7 +2016,9 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
     // Parse a repeat/until statement.
     Parser.prototype._parseRepeatStatement = function (symbolTable) {
+        this.loopDepth++;
         var block = this._parseBlock(symbolTable, "repeat", "until");
+        this.loopDepth--;
         var expression = this._parseExpression(symbolTable);
         if (!expression.expressionType.isBooleanType()) {
             throw new PascalError(node.token, "repeat condition must be a boolean");
@@ -727,13 +2046,16 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         }
         var toExpr = this._parseExpression(symbolTable);
         this._expectReservedWord("do");
+        this.loopDepth++;
         var body = this._parseStatement(symbolTable);
+        this.loopDepth--;
 
         // Get the symbol for the loop variable.
         var symbolLookup = symbolTable.getSymbol(loopVariableToken);
         var loopVariableType = symbolLookup.symbol.type;
         var variable = new Node(Node.IDENTIFIER, loopVariableToken);
         variable.symbolLookup = symbolLookup;
+        this._checkModifiable(variable);
 
         // Cast "from" and "to" to type of variable.
         fromExpr = fromExpr.castToType(loopVariableType);
@@ -748,6 +2070,169 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         });
     };
 
+    // Parse a case statement.
+    Parser.prototype._parseCaseStatement = function (symbolTable) {
+        var caseToken = this._expectReservedWord("case");
+
+        // Parse the selector.
+        var expression = this._parseExpression(symbolTable);
+        var selectorType = expression.expressionType;
+        if (!selectorType.isOrdinalType()) {
+            throw new PascalError(expression.token, "case selector must be an ordinal type");
+        }
+
+        this._expectReservedWord("of", "expected \"of\" for \"case\" statement");
+
+        // Parse the arms, up to the optional "else" (or "otherwise") part and the "end".
+        var arms = [];
+        var elseStatement = null;
+        while (true) {
+            var token = this.lexer.peek();
+            if (token.isSymbol(";")) {
+                // Empty arm.
+                this.lexer.next();
+            } else if (token.isReservedWord("end")) {
+                // End of case.
+                this.lexer.next();
+                break;
+            } else if (this._isCaseElse(token)) {
+                // The else part is a list of statements that runs to the "end".
+                this.lexer.next();
+                elseStatement = this._parseStatements(symbolTable, "end");
+                break;
+            } else {
+                arms.push(this._parseCaseArm(symbolTable, selectorType));
+
+                // After an arm we require a semicolon, the else part, or the end.
+                token = this.lexer.peek();
+                if (!token.isSymbol(";") && !token.isReservedWord("end") &&
+                    !this._isCaseElse(token)) {
+
+                    throw new PascalError(token, "expected \";\" or \"end\"");
+                }
+            }
+        }
+
+        var node = new Node(Node.CASE, caseToken, {
+            expression: expression,
+            arms: arms,
+            elseStatement: elseStatement
+        });
+
+        // The selector is evaluated once and kept in this frame while we look for its arm.
+        node.selectorSymbol = symbolTable.addTemporary(Node.integerType);
+
+        return node;
+    };
+
+    // Parse a with statement, such as "with a, p^ do ...". Within the statement,
+    // the fields of the records can be used by name.
+    Parser.prototype._parseWithStatement = function (symbolTable) {
+        var token = this._expectReservedWord("with");
+
+        // Each record is in scope for the records after it, so "with a, b do"
+        // is the same as "with a do with b do".
+        var nodes = [];
+        var more;
+        do {
+            var variable = this._parseVariable(symbolTable);
+            var recordType = variable.expressionType;
+            if (recordType.nodeType !== Node.RECORD_TYPE &&
+                recordType.nodeType !== Node.OBJECT_TYPE) {
+
+                throw new PascalError(variable.token, "expected a record");
+            }
+
+            var node = new Node(Node.WITH, token, {
+                variable: variable,
+                statement: null
+            });
+
+            // The record's address is computed once and kept in this frame.
+            node.recordSymbol = symbolTable.addTemporary(new Node(Node.SIMPLE_TYPE, token, {
+                typeCode: inst.A,
+                typeName: "AD-HOC",
+                type: recordType
+            }));
+            node.recordSymbol.isConst = this._isReadOnly(variable);
+            symbolTable.pushWithRecord(recordType, node.recordSymbol);
+            nodes.push(node);
+
+            more = this.lexer.peek().isSymbol(",");
+            if (more) {
+                this._expectSymbol(",");
+            }
+        } while (more);
+
+        this._expectReservedWord("do");
+        var statement = this._parseStatement(symbolTable);
+
+        // Nest the nodes, innermost last.
+        for (var i = nodes.length - 1; i >= 0; i--) {
+            symbolTable.popWithRecord();
+            nodes[i].statement = statement;
+            statement = nodes[i];
+        }
+
+        return statement;
+    };
+
+    // Returns whether the token starts the else part of a case statement. Turbo
+    // Pascal uses "else", but we also accept "otherwise", which isn't a reserved word.
+    Parser.prototype._isCaseElse = function (token) {
+        return token.isReservedWord("else") ||
+            (token.tokenType === Token.IDENTIFIER && token.value.toLowerCase() === "otherwise");
+    };
+
+    // Parse one arm of a case statement, which is a list of constants and ranges,
+    // a colon, and a statement. The statement can be empty, as in "1: ;".
+    Parser.prototype._parseCaseArm = function (symbolTable, selectorType) {
+        var labels = [];
+
+        do {
+            var label = this._parseExpression(symbolTable);
+            this._checkCaseLabel(label, selectorType);
+
+            // See if it's a range.
+            var token = this.lexer.peek();
+            if (token.isSymbol("..")) {
+                this._expectSymbol("..");
+                var high = this._parseExpression(symbolTable);
+                this._checkCaseLabel(high, selectorType);
+
+                label = new Node(Node.RANGE, token, {low: label, high: high});
+            }
+
+            labels.push(label);
+        } while (this._moreToCome(",", ":"));
+
+        var colonToken = this._expectSymbol(":");
+        var token = this.lexer.peek();
+        var statement;
+        if (token.isSymbol(";") || token.isReservedWord("end") || this._isCaseElse(token)) {
+            statement = new Node(Node.BLOCK, token, {
+                statements: []
+            });
+        } else {
+            statement = this._parseStatement(symbolTable);
+        }
+
+        return new Node(Node.CASE_ARM, colonToken, {
+            labels: labels,
+            statement: statement
+        });
+    };
+
+    // Throws if the case label can't be compared with the case selector.
+    Parser.prototype._checkCaseLabel = function (label, selectorType) {
+        var labelType = label.expressionType;
+
+        if (!labelType.isSameOrdinalType(selectorType)) {
+            throw new PascalError(label.token, "case label of type " + labelType.print() +
+                                  " doesn't match selector of type " + selectorType.print());
+        }
+    };
+
     // Parse an exit statement.
     Parser.prototype._parseExitStatement = function (symbolTable) {
         var token = this._expectReservedWord("exit");
@@ -755,12 +2240,95 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return new Node(Node.EXIT, token);
     };
 
-    // Parse a type declaration, such as "Integer" or "Array[1..70] of Real".
+    // Returns whether the token is the predeclared Break or Continue procedure,
+    // rather than a variable or procedure of the program's with the same name.
+    Parser.prototype._isLoopJump = function (symbolTable, token) {
+        if (token.tokenType !== Token.IDENTIFIER) {
+            return false;
+        }
+
+        var name = token.value.toLowerCase();
+        if (name !== "break" && name !== "continue") {
+            return false;
+        }
+
+        return symbolTable.getWithField(token) === null &&
+            symbolTable.getWithMethod(token) === null &&
+            symbolTable.getSymbol(token).symbol.isIntrinsic;
+    };
+
+    // Parse a break or continue statement, which must be inside a loop.
+    Parser.prototype._parseLoopJumpStatement = function (symbolTable) {
+        var token = this.lexer.next();
+        var isBreak = token.value.toLowerCase() === "break";
+
+        if (this.loopDepth === 0) {
+            throw new PascalError(token, (isBreak ? "break" : "continue") + " outside of loop");
+        }
+
+        return new Node(isBreak ? Node.BREAK : Node.CONTINUE, token);
+    };
+
+    // Parse a goto statement. The label may be defined later in the procedure, so
+    // we check the jump once the whole procedure is parsed (see _checkGotos).
+    Parser.prototype._parseGotoStatement = function (symbolTable) {
+        this._expectReservedWord("goto");
+
+        var token = this._expectLabel();
+        var label = symbolTable.getLabel(token);
+        if (label.level > 0) {
+            throw new PascalError(token, "can't jump out of a procedure");
+        }
+
+        var node = new Node(Node.GOTO, token, {
+            label: label.symbol,
+            path: this.statementPath.slice(0)
+        });
+        label.symbol.gotos.push(node);
+
+        return node;
+    };
+
+    // Makes sure that every goto in the procedure of this symbol table jumps to
+    // a label that's defined, and not into a statement nested deeper than the goto.
+    Parser.prototype._checkGotos = function (symbolTable) {
+        for (var name in symbolTable.labels) {
+            if (symbolTable.labels.hasOwnProperty(name)) {
+                var label = symbolTable.labels[name];
+                for (var i = 0; i < label.gotos.length; i++) {
+                    var node = label.gotos[i];
+                    if (label.statement === null) {
+                        throw new PascalError(node.token, "label " + name + " is never defined");
+                    }
+
+                    // The label's enclosing statements must all enclose the goto.
+                    var path = label.statement.path;
+                    for (var j = 0; j < path.length; j++) {
+                        if (path[j] !== node.path[j]) {
+                            throw new PascalError(node.token,
+                                                  "can't jump into a nested statement");
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // Parse a type declaration, such as "Integer", "1..10", or "Array[1..70] of Real".
     // The "incompleteTypes" array is optional. If specified, and if a pointer
     // to an unknown type is found, it is added to the array. If such a pointer
     // is found and the array was not passed in, we throw.
     Parser.prototype._parseType = function (symbolTable, incompleteTypes) {
-        var token = this.lexer.next();
+        // Anything that can't start another kind of type starts a subrange.
+        var token = this.lexer.peek();
+        if (token.tokenType === Token.NUMBER || token.tokenType === Token.STRING ||
+            token.isSymbol("-") || token.isSymbol("+") ||
+            (token.tokenType === Token.IDENTIFIER && !symbolTable.hasType(token))) {
+
+            return this._parseSubrangeType(symbolTable);
+        }
+
+        token = this.lexer.next();
         var node;
 
         if (token.isReservedWord("array")) {
@@ -769,7 +2337,7 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             var ranges = [];
             // Parse multiple ranges.
             do {
-                var range = this._parseRange(symbolTable);
+                var range = this._parseIndexType(symbolTable);
                 ranges.push(range);
             } while (this._moreToCome(",", "]"));
             this._expectSymbol("]");
@@ -778,10 +2346,19 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
             node = new Node(Node.ARRAY_TYPE, token, {
                 elementType: elementType,
-                ranges: ranges
+                ranges: ranges,
+                isOpen: false
             });
         } else if (token.isReservedWord("record")) {
             node = this._parseRecordType(symbolTable, token, incompleteTypes);
+        } else if (token.isReservedWord("object")) {
+            throw new PascalError(token, "object types must be declared in a type declaration");
+        } else if (token.isSymbol("(")) {
+            node = this._parseEnumType(symbolTable, token);
+        } else if (token.isReservedWord("set")) {
+            node = this._parseSetType(symbolTable, token);
+        } else if (token.isReservedWord("procedure") || token.isReservedWord("function")) {
+            node = this._parseProceduralType(symbolTable, token);
         } else if (token.isSymbol("^")) {
             var typeNameToken = this._expectIdentifier("expected type identifier");
             var type;
@@ -814,56 +2391,428 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             // Type name.
             var symbolLookup = symbolTable.getType(token);
 
-            // Substitute the type right away. This will mess up the display of
-            // the program, since you'll see the full type everywhere, but will
-            // simplify the compilation step.
-            node = symbolLookup.symbol.type;
-        } else {
-            throw new PascalError(token, "can't parse type");
+            // Substitute the type right away. This will mess up the display of
+            // the program, since you'll see the full type everywhere, but will
+            // simplify the compilation step.
+            node = symbolLookup.symbol.type;
+        } else {
+            throw new PascalError(token, "can't parse type");
+        }
+
+        // A type node is its own type.
+        node.expressionType = node;
+
+        return node;
+    };
+
+    // Parse a subrange type, such as "1..10", "'a'..'z'", or "Red..Green". Its values
+    // are those of the type of its bounds, which it's compatible with.
+    Parser.prototype._parseSubrangeType = function (symbolTable) {
+        var range = this._parseRange(symbolTable);
+        var hostType = range.low.expressionType;
+        if (!hostType.isOrdinalType() || !hostType.isSameOrdinalType(range.high.expressionType)) {
+            throw new PascalError(range.token, "subrange bounds must be of one ordinal type");
+        }
+
+        var low = range.getRangeLowBound();
+        var high = range.getRangeHighBound();
+        if (low > high) {
+            throw new PascalError(range.token, "subrange's lower bound is above its upper bound");
+        }
+
+        var node;
+        if (hostType.nodeType === Node.ENUM_TYPE) {
+            node = new Node(Node.ENUM_TYPE, range.token, {
+                entries: hostType.entries,
+                low: low,
+                high: high,
+                hostType: hostType.getHostType()
+            });
+        } else if (hostType.isSimpleType(inst.B)) {
+            throw new PascalError(range.token, "subranges of Boolean aren't supported");
+        } else {
+            node = new Node(Node.SIMPLE_TYPE, range.token, {
+                typeCode: hostType.typeCode,
+                low: low,
+                high: high
+            });
+        }
+
+        // A type node is its own type.
+        node.expressionType = node;
+
+        return node;
+    };
+
+    // Parse an enumerated type, such as "(Red, Green, Blue)". The opening parenthesis
+    // has already been eaten. Each value is added to the symbol table as a constant.
+    Parser.prototype._parseEnumType = function (symbolTable, token) {
+        var entries = [];
+
+        do {
+            var entryToken = this._expectIdentifier("expected enumerated value name");
+            entries.push(new Node(Node.IDENTIFIER, entryToken));
+        } while (this._moreToCome(",", ")"));
+        this._expectSymbol(")");
+
+        var type = new Node(Node.ENUM_TYPE, token, {
+            entries: entries,
+            low: 0,
+            high: entries.length - 1,
+            hostType: null
+        });
+
+        // Values are stored as their ordinal value.
+        for (var i = 0; i < entries.length; i++) {
+            var symbol = symbolTable.addSymbol(entries[i].token.value, Node.CONST, type);
+            symbol.value = Node.makeOrdinalNode(i, type);
+        }
+
+        return type;
+    };
+
+    // Parse a set type, such as "set of Char" or "set of 1..10". The "set" reserved
+    // word has already been eaten.
+    Parser.prototype._parseSetType = function (symbolTable, token) {
+        this._expectReservedWord("of");
+
+        // The element type is either a type (by name or an enumeration) or a range.
+        var elementToken = this.lexer.peek();
+        var type;
+        var range = null;
+        var low, high;
+        if (elementToken.isSymbol("(") ||
+            (elementToken.tokenType === Token.IDENTIFIER && symbolTable.hasType(elementToken))) {
+
+            type = this._parseType(symbolTable);
+            if (!type.isOrdinalType()) {
+                throw new PascalError(elementToken, "set element type must be ordinal");
+            }
+            low = type.getTypeLowBound();
+            high = type.getTypeHighBound();
+        } else {
+            range = this._parseRange(symbolTable);
+            type = range.low.expressionType;
+            if (!type.isSameOrdinalType(range.high.expressionType)) {
+                throw new PascalError(range.token,
+                                      "set element range must be of one ordinal type");
+            }
+            low = range.getRangeLowBound();
+            high = range.getRangeHighBound();
+        }
+
+        if (low < 0 || high > sets.MAX_ELEMENT) {
+            throw new PascalError(elementToken, "set elements must have ordinal values " +
+                                  "from 0 to " + sets.MAX_ELEMENT);
+        }
+
+        return new Node(Node.SET_TYPE, token, {
+            type: type,
+            range: range
+        });
+    };
+
+    // Parse a record type definition. See _parseType() for an explanation of "incompleteTypes".
+    Parser.prototype._parseRecordType = function (symbolTable, token, incompleteTypes) {
+        var node = new Node(Node.RECORD_TYPE, token, {
+            fields: [],
+            variantPart: null
+        });
+
+        // A record is a list of fields, optionally followed by a variant part.
+        this._parseFieldList(symbolTable, node, 0, "end", incompleteTypes);
+        this._expectReservedWord("end");
+
+        return node;
+    };
+
+    // Parse an object type definition, such as "object(TShape) r : Real; function
+    // Area : Real; virtual; end". The type is named by the token. See _parseType()
+    // for an explanation of "incompleteTypes".
+    Parser.prototype._parseObjectType = function (symbolTable, nameToken, incompleteTypes) {
+        var token = this._expectReservedWord("object");
+
+        // Methods are implemented at the outermost level, so the type must be there too.
+        if (symbolTable.getGlobalLevel() !== 0) {
+            throw new PascalError(token, "object types must be declared at the outermost level");
+        }
+
+        // The optional parent type.
+        var parentType = null;
+        if (this.lexer.peek().isSymbol("(")) {
+            this._expectSymbol("(");
+            var parentToken = this._expectIdentifier("expected parent type");
+            parentType = symbolTable.getType(parentToken).symbol.type;
+            if (parentType.nodeType !== Node.OBJECT_TYPE) {
+                throw new PascalError(parentToken, "can only inherit from an object type");
+            }
+            this._expectSymbol(")");
+        }
+
+        // Start with everything we inherit.
+        var node = new Node(Node.OBJECT_TYPE, token, {
+            name: new Node(Node.IDENTIFIER, nameToken),
+            parentType: parentType,
+            fields: parentType === null ? [] : parentType.fields.slice(0),
+            variantPart: null,
+            methods: parentType === null ? [] : parentType.methods.slice(0),
+            vmt: parentType === null ? [] : parentType.vmt.slice(0),
+            vmtOffset: parentType === null ? -1 : parentType.vmtOffset,
+            size: parentType === null ? 0 : parentType.size
+        });
+        node.expressionType = node;
+
+        // Methods can have parameters of the type being declared.
+        symbolTable.addType(nameToken.value, node);
+
+        // Fields come before methods.
+        token = this.lexer.peek();
+        while (token.tokenType === Token.IDENTIFIER) {
+            var fields = this._parseRecordSection(symbolTable, token, incompleteTypes);
+            for (var i = 0; i < fields.length; i++) {
+                var field = fields[i];
+                if (node.findField(field.name.token) !== null) {
+                    throw new PascalError(field.name.token, "duplicate field " +
+                                          field.name.token.value);
+                }
+                field.offset = node.size;
+                node.size += field.type.getTypeSize();
+                node.fields.push(field);
+            }
+
+            token = this.lexer.peek();
+            if (!token.isReservedWord("end")) {
+                this._expectSymbol(";");
+                token = this.lexer.peek();
+            }
+        }
+
+        while (!token.isReservedWord("end")) {
+            this._parseMethodHeading(symbolTable, node);
+            token = this.lexer.peek();
+        }
+        this._expectReservedWord("end");
+
+        // The type that declares the first virtual method gets a field for the
+        // address of the VMT, after its other fields. Descendants inherit it.
+        if (node.vmt.length > 0 && node.vmtOffset === -1) {
+            node.vmtOffset = node.size;
+            node.size++;
+        }
+
+        return node;
+    };
+
+    // Parse the heading of a method in an object type, such as "procedure Draw;
+    // virtual;", and add the method to the type. Methods that override virtual
+    // methods must also be virtual and have the same parameters.
+    Parser.prototype._parseMethodHeading = function (symbolTable, objectType) {
+        var token = this.lexer.next();
+        if (!token.isReservedWord("procedure") && !token.isReservedWord("function") &&
+            !token.isReservedWord("constructor") && !token.isReservedWord("destructor")) {
+
+            throw new PascalError(token, "expected method or \"end\"");
+        }
+        var kind = token.value.toLowerCase();
+
+        var nameToken = this._expectIdentifier("expected method name");
+        if (objectType.findField(nameToken) !== null) {
+            throw new PascalError(nameToken, "method " + nameToken.value +
+                                  " has the same name as a field");
+        }
+        var inheritedMethod = objectType.findMethod(nameToken);
+        if (inheritedMethod !== null && inheritedMethod.objectType === objectType) {
+            throw new PascalError(nameToken, "duplicate method " + nameToken.value);
+        }
+
+        var parameters = this._parseParameters(symbolTable);
+        var returnType = Node.voidType;
+        if (kind === "function") {
+            this._expectSymbol(":");
+            returnType = this._parseType(symbolTable);
+        }
+        this._expectSymbol(";");
+
+        // The "virtual" directive.
+        var nextToken = this.lexer.peek();
+        var isVirtual = nextToken.tokenType === Token.IDENTIFIER &&
+            nextToken.value.toLowerCase() === "virtual";
+        if (isVirtual) {
+            if (kind === "constructor") {
+                throw new PascalError(nextToken, "constructors can't be virtual");
+            }
+            this.lexer.next();
+            this._expectSymbol(";");
         }
 
-        // A type node is its own type.
-        node.expressionType = node;
+        var method = new Node(Node.METHOD, token, {
+            name: new Node(Node.IDENTIFIER, nameToken),
+            kind: kind,
+            objectType: objectType,
+            isVirtual: isVirtual,
+            vmtIndex: -1
+        });
+        method.expressionType = new Node(Node.SUBPROGRAM_TYPE, token, {
+            parameters: parameters,
+            returnType: returnType
+        });
 
-        return node;
+        // The body comes later, like a forward declaration.
+        method.symbol = new Symbol(objectType.name.token.value + "." + nameToken.value,
+                                   method.expressionType, -1, false);
+        method.symbol.isForward = true;
+
+        // Take the place of the inherited method.
+        var isOverride = inheritedMethod !== null && inheritedMethod.isVirtual;
+        if (isOverride && !isVirtual) {
+            throw new PascalError(nameToken, "method " + nameToken.value +
+                                  " must be virtual like the one it overrides");
+        }
+        if (isOverride && (inheritedMethod.kind !== kind ||
+                           !method.expressionType.isSameSignature(
+                               inheritedMethod.expressionType))) {
+
+            throw new PascalError(nameToken, "header doesn't match overridden method");
+        }
+        if (isOverride) {
+            method.vmtIndex = inheritedMethod.vmtIndex;
+            objectType.vmt[method.vmtIndex] = method;
+        } else if (isVirtual) {
+            method.vmtIndex = objectType.vmt.length;
+            objectType.vmt.push(method);
+        }
+        if (inheritedMethod !== null) {
+            objectType.methods[objectType.methods.indexOf(inheritedMethod)] = method;
+        } else {
+            objectType.methods.push(method);
+        }
     };
 
-    // Parse a record type definition. See _parseType() for an explanation of "incompleteTypes".
-    Parser.prototype._parseRecordType = function (symbolTable, token, incompleteTypes) {
-        // A record is a list of fields.
-        var fields = [];
+    // Parse the fields of a record or of one of its variants into the RECORD_TYPE
+    // or VARIANT node, up to but not including the terminator ("end" or ")").
+    // The fields are laid out starting at the offset.
+    Parser.prototype._parseFieldList = function (symbolTable, node, offset, terminator,
+                                                 incompleteTypes) {
 
         while (true) {
             var token = this.lexer.peek();
             if (token.isSymbol(";")) {
                 // Empty field, no problem.
                 this.lexer.next();
-            } else if (token.isReservedWord("end")) {
-                // End of record.
-                this._expectReservedWord("end");
+            } else if (this._isFieldListEnd(token, terminator)) {
+                // End of fields.
+                break;
+            } else if (token.isReservedWord("case")) {
+                // The variant part must come last.
+                node.variantPart = this._parseVariantPart(symbolTable, offset, terminator,
+                                                          incompleteTypes);
                 break;
             } else {
-                fields.push.apply(fields,
-                                  this._parseRecordSection(symbolTable, token, incompleteTypes));
-                // Must have ";" or "end" after field.
-                var token = this.lexer.peek();
-                if (!token.isSymbol(";") && !token.isReservedWord("end")) {
-                    throw new PascalError(token, "expected \";\" or \"end\" after field");
+                var fields = this._parseRecordSection(symbolTable, token, incompleteTypes);
+
+                // Calculate the offset of each field.
+                for (var i = 0; i < fields.length; i++) {
+                    fields[i].offset = offset;
+                    offset += fields[i].type.getTypeSize();
+                }
+                node.fields.push.apply(node.fields, fields);
+
+                // Must have ";" or the terminator after field.
+                token = this.lexer.peek();
+                if (!token.isSymbol(";") && !this._isFieldListEnd(token, terminator)) {
+                    throw new PascalError(token, "expected \";\" or \"" + terminator +
+                                          "\" after field");
                 }
             }
         }
+    };
 
-        // Calculate the offset of each field.
-        var offset = 0;
-        for (var i = 0; i < fields.length; i++) {
-            var field = fields[i];
-            field.offset = offset;
-            offset += field.type.getTypeSize();
+    // Returns whether the token ends a list of fields. The terminator is "end" for
+    // a record and ")" for a variant.
+    Parser.prototype._isFieldListEnd = function (token, terminator) {
+        return terminator === ")" ? token.isSymbol(")") : token.isReservedWord(terminator);
+    };
+
+    // Parse the variant part of a record, such as "case kind : Shape of Circle :
+    // (r : Real); Rect : (w, h : Real)". Without a tag field, only the tag type is
+    // given, as in "case Shape of". The variants start at the same offset (after
+    // the tag field), so their fields overlap. Returns a VARIANT_PART node.
+    Parser.prototype._parseVariantPart = function (symbolTable, offset, terminator,
+                                                   incompleteTypes) {
+
+        var caseToken = this._expectReservedWord("case");
+
+        // The tag field is optional.
+        var token = this._expectIdentifier("expected tag field or type");
+        var tagField = null;
+        var tagType;
+        if (this.lexer.peek().isSymbol(":")) {
+            this._expectSymbol(":");
+            tagType = this._parseType(symbolTable);
+            tagField = new Node(Node.FIELD, token, {
+                name: new Node(Node.IDENTIFIER, token),
+                type: tagType,
+                offset: offset
+            });
+            offset += tagType.getTypeSize();
+        } else {
+            tagType = symbolTable.getType(token).symbol.type;
+        }
+        if (!tagType.isOrdinalType()) {
+            throw new PascalError(token, "variant tag must be of an ordinal type");
         }
 
-        return new Node(Node.RECORD_TYPE, token, {
-            fields: fields
+        this._expectReservedWord("of");
+
+        var node = new Node(Node.VARIANT_PART, caseToken, {
+            tagField: tagField,
+            tagType: tagType,
+            offset: offset,
+            variants: []
         });
+
+        while (true) {
+            token = this.lexer.peek();
+            if (token.isSymbol(";")) {
+                // Separator between variants.
+                this.lexer.next();
+            } else if (this._isFieldListEnd(token, terminator)) {
+                // End of variants.
+                break;
+            } else {
+                // Parse the labels, such as "Circle, Oval :".
+                var labels = [];
+                do {
+                    var label = this._parseExpression(symbolTable);
+                    if (!label.isConstant()) {
+                        throw new PascalError(label.token, "variant label must be a constant");
+                    }
+                    this._checkCaseLabel(label, tagType);
+                    labels.push(label);
+                } while (this._moreToCome(",", ":"));
+                this._expectSymbol(":");
+
+                // Parse the fields in parentheses.
+                var variant = new Node(Node.VARIANT, token, {
+                    labels: labels,
+                    fields: [],
+                    variantPart: null
+                });
+                this._expectSymbol("(");
+                this._parseFieldList(symbolTable, variant, offset, ")", incompleteTypes);
+                this._expectSymbol(")");
+                node.variants.push(variant);
+
+                // Must have ";" or the terminator after the variant.
+                token = this.lexer.peek();
+                if (!token.isSymbol(";") && !this._isFieldListEnd(token, terminator)) {
+                    throw new PascalError(token, "expected \";\" or \"" + terminator +
+                                          "\" after variant");
+                }
+            }
+        }
+
+        return node;
     };
 
     // Parse a section of a record type, which is a list of identifiers and
@@ -895,15 +2844,46 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return fields;
     };
 
+    // Parses the index type of an array, which is either a range (see _parseRange())
+    // or the name of an ordinal type, such as "Boolean" or an enumerated type.
+    // Returns a RANGE node.
+    Parser.prototype._parseIndexType = function (symbolTable) {
+        var token = this.lexer.peek();
+
+        if (token.tokenType === Token.IDENTIFIER && symbolTable.hasType(token)) {
+            var type = this._parseType(symbolTable);
+            if (!type.isOrdinalType()) {
+                throw new PascalError(token, "array index type must be ordinal");
+            }
+
+            return new Node(Node.RANGE, token, {
+                low: Node.makeOrdinalNode(type.getTypeLowBound(), type),
+                high: Node.makeOrdinalNode(type.getTypeHighBound(), type)
+            });
+        }
+
+        return this._parseRange(symbolTable);
+    };
+
     // Parses a range, such as "5..10". Either can be a constant expression.
     Parser.prototype._parseRange = function (symbolTable) {
-        var low = this._parseExpression(symbolTable);
+        var low = this._parseConstantExpression(symbolTable);
         var token = this._expectSymbol("..");
-        var high = this._parseExpression(symbolTable);
+        var high = this._parseConstantExpression(symbolTable);
 
         return new Node(Node.RANGE, token, {low: low, high: high});
     };
 
+    // Parses an expression that must be constant, such as "Size - 1".
+    Parser.prototype._parseConstantExpression = function (symbolTable) {
+        var node = this._parseExpression(symbolTable);
+        if (!node.isConstant()) {
+            throw new PascalError(node.token, "expected constant expression");
+        }
+
+        return node;
+    };
+
     // Parses an expression.
     Parser.prototype._parseExpression = function (symbolTable) {
         return this._parseRelationalExpression(symbolTable);
@@ -934,9 +2914,32 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             } else if (token.isSymbol("<=")) {
                 node = this._createBinaryNode(symbolTable, token, node, Node.LESS_THAN_OR_EQUAL_TO,
                         this._parseAdditiveExpression).withExpressionType(Node.booleanType);
+            } else if (token.isReservedWord("in")) {
+                this._expectReservedWord("in");
+                var set = this._parseAdditiveExpression(symbolTable);
+                var setType = set.expressionType;
+                if (setType.nodeType !== Node.SET_TYPE) {
+                    throw new PascalError(set.token, "expected a set after \"in\"");
+                }
+
+                // Anything can be looked for in the empty set.
+                var elementType = node.expressionType;
+                if (setType.type !== null ? !elementType.isSameOrdinalType(setType.type) :
+                    !elementType.isOrdinalType()) {
+
+                    throw new PascalError(token, "can't look for " + elementType.print() +
+                                          " in " + setType.print());
+                }
+
+                node = new Node(Node.IN, token, {
+                    lhs: node,
+                    rhs: set
+                }).withExpressionType(Node.booleanType);
             } else {
                 break;
             }
+
+            node = this._foldConstant(node);
         }
 
         return node;
@@ -951,16 +2954,25 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             if (token.isSymbol("+")) {
                 node = this._createBinaryNode(symbolTable, token, node, Node.ADDITION,
                                               this._parseMultiplicativeExpression);
+
+                // Adding characters makes a string.
+                if (node.expressionType.isSimpleType(inst.C)) {
+                    node.expressionType = Node.stringType;
+                }
             } else if (token.isSymbol("-")) {
                 node = this._createBinaryNode(symbolTable, token, node, Node.SUBTRACTION,
                                               this._parseMultiplicativeExpression);
             } else if (token.isReservedWord("or")) {
-                node = this._createBinaryNode(symbolTable, token, node, Node.OR,
-                                              this._parseMultiplicativeExpression,
-                                              Node.booleanType);
+                node = this._createIntegerNode(symbolTable, token, node, Node.OR,
+                                               this._parseMultiplicativeExpression, true);
+            } else if (token.isReservedWord("xor")) {
+                node = this._createIntegerNode(symbolTable, token, node, Node.XOR,
+                                               this._parseMultiplicativeExpression, true);
             } else {
                 break;
             }
+
+            node = this._foldConstant(node);
         }
 
         return node;
@@ -979,17 +2991,25 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                 node = this._createBinaryNode(symbolTable, token, node, Node.DIVISION,
                                               this._parseUnaryExpression, Node.realType);
             } else if (token.isReservedWord("div")) {
-                node = this._createBinaryNode(symbolTable, token, node, Node.INTEGER_DIVISION,
-                                              this._parseUnaryExpression, Node.integerType);
+                node = this._createIntegerNode(symbolTable, token, node, Node.INTEGER_DIVISION,
+                                               this._parseUnaryExpression, false);
             } else if (token.isReservedWord("mod")) {
-                node = this._createBinaryNode(symbolTable, token, node, Node.MOD,
-                                              this._parseUnaryExpression, Node.integerType);
+                node = this._createIntegerNode(symbolTable, token, node, Node.MOD,
+                                               this._parseUnaryExpression, false);
             } else if (token.isReservedWord("and")) {
-                node = this._createBinaryNode(symbolTable, token, node, Node.AND,
-                                              this._parseUnaryExpression, Node.booleanType);
+                node = this._createIntegerNode(symbolTable, token, node, Node.AND,
+                                               this._parseUnaryExpression, true);
+            } else if (token.isReservedWord("shl")) {
+                node = this._createIntegerNode(symbolTable, token, node, Node.SHL,
+                                               this._parseUnaryExpression, false);
+            } else if (token.isReservedWord("shr")) {
+                node = this._createIntegerNode(symbolTable, token, node, Node.SHR,
+                                               this._parseUnaryExpression, false);
             } else {
                 break;
             }
+
+            node = this._foldConstant(node);
         }
 
         return node;
@@ -1009,6 +3029,15 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             node = new Node(Node.NEGATIVE, token, {
                 expression: expression
             }).withExpressionTypeFrom(expression);
+
+            // Negated integers may need a larger type, as for -32768 (whose
+            // 32768 is a Word) or the negation of a Word.
+            var type = expression.expressionType;
+            if (type.isSimpleType(inst.I)) {
+                node.expressionType = expression.nodeType === Node.NUMBER ?
+                    Node.getLiteralIntegerType(-expression.getNumber()) :
+                    Node.getNegatedIntegerType(type);
+            }
         } else if (token.isSymbol("+")) {
             // Unary plus.
             this._expectSymbol("+");
@@ -1016,12 +3045,15 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             // Nothing to wrap sub-expression with.
             node = this._parseUnaryExpression(symbolTable);
         } else if (token.isReservedWord("not")) {
-            // Logical not.
+            // Logical not, or bitwise on integers.
             this._expectReservedWord("not");
 
             var expression = this._parseUnaryExpression(symbolTable);
-            if (!expression.expressionType.isBooleanType()) {
-                throw new PascalError(expression.token, "not operand must be a boolean");
+            if (!expression.expressionType.isBooleanType() &&
+                !expression.expressionType.isSimpleType(inst.I)) {
+
+                throw new PascalError(expression.token,
+                                      "not operand must be a boolean or an integer");
             }
             node = new Node(Node.NOT, token, {
                 expression:expression
@@ -1030,6 +3062,10 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             node = this._parsePrimaryExpression(symbolTable);
         }
 
+        if (node.nodeType === Node.NEGATIVE || node.nodeType === Node.NOT) {
+            node = this._foldConstant(node);
+        }
+
         return node;
     };
 
@@ -1039,25 +3075,26 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         var token = this.lexer.peek();
         var node;
 
+        // Only the operand of a typecast may be untyped, and then only if it's
+        // the whole operand.
+        var allowUntypedVariable = this.allowUntypedVariable;
+        this.allowUntypedVariable = false;
+
         if (token.tokenType === Token.NUMBER) {
             // Numeric literal.
             token = this.lexer.next();
             node = new Node(Node.NUMBER, token);
             var v = node.getNumber();
-            var typeCode;
 
-            // See if we're an integer or real.
+            // Set the type based on the kind of number we have. Really we should
+            // have the lexer tell us, because JavaScript treats "2.0" the same as "2".
             if ((v | 0) === v) {
-                typeCode = inst.I;
+                node.expressionType = Node.getLiteralIntegerType(v);
             } else {
-                typeCode = inst.R;
+                node.expressionType = new Node(Node.SIMPLE_TYPE, token, {
+                    typeCode: inst.R
+                });
             }
-
-            // Set the type based on the kind of number we have. Really we should
-            // have the lexer tell us, because JavaScript treats "2.0" the same as "2".
-            node.expressionType = new Node(Node.SIMPLE_TYPE, token, {
-                typeCode: typeCode
-            });
         } else if (token.tokenType === Token.STRING) {
             // String or character literal.
             token = this.lexer.next();
@@ -1068,9 +3105,36 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                 // String literal of length 1 is a Char.
                 typeCode: v.length === 1 ? inst.C : inst.S
             });
+        } else if (token.isReservedWord("inherited")) {
+            node = this._parseInheritedCall(symbolTable);
+            if (node.expressionType.isVoidType()) {
+                throw new PascalError(token, "can't call procedure in expression");
+            }
         } else if (token.tokenType === Token.IDENTIFIER) {
             // Parse a variable (identifier, array dereference, etc.).
             node = this._parseVariable(symbolTable);
+            if (node.nodeType === Node.METHOD_CALL && node.expressionType.isVoidType()) {
+                throw new PascalError(node.token, "can't call procedure in expression");
+            }
+            if ((node.nodeType === Node.DEREFERENCE || node.nodeType === Node.IDENTIFIER) &&
+                node.expressionType.isVoidType() &&
+                (!allowUntypedVariable || !this.lexer.peek().isSymbol(")"))) {
+
+                throw new PascalError(node.token, "can't use untyped variable in expression");
+            }
+
+            // Procedural variables are called if given arguments, or if they're
+            // functions that take none. Otherwise we want the value itself.
+            var type = node.expressionType;
+            if (type.nodeType === Node.PROCEDURAL_TYPE &&
+                (this.lexer.peek().isSymbol("(") ||
+                 (!type.returnType.isVoidType() && type.parameters.length === 0))) {
+
+                if (type.returnType.isVoidType()) {
+                    throw new PascalError(node.token, "can't call procedure in expression");
+                }
+                node = this._parseIndirectCall(symbolTable, node);
+            }
 
             // What we do next depends on the variable. If it's just an identifier,
             // then it could be a function call, a function call with arguments,
@@ -1093,8 +3157,24 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
                 var symbol = symbolLookup.symbol;
                 node.symbolLookup = symbolLookup;
 
-                if (symbol.type.nodeType === Node.SUBPROGRAM_TYPE) {
-                    // We're calling a function. Make sure it's not a procedure.
+                if (symbol.isIntrinsic) {
+                    // Compiled inline.
+                    node = this._parseIntrinsicCall(symbolTable, node.token, symbol);
+                } else if (symbol.type.nodeType === Node.SUBPROGRAM_TYPE &&
+                    !nextToken.isSymbol("(") &&
+                    (symbol.type.returnType.isVoidType() || symbol.type.parameters.length > 0)) {
+
+                    // Can't be a call, so it must be the procedure or function
+                    // itself, as a procedural value.
+                    node = this._makeRoutineNode(symbolTable, node);
+                } else if (symbol.type.nodeType === Node.SUBPROGRAM_TYPE) {
+                    // We're calling a function. Make sure it's not a procedure. The
+                    // function form of New(), "New(PType, Init(5))", isn't supported.
+                    if (symbol.type.returnType.isVoidType() &&
+                        symbol.name.toLowerCase() === "new" && symbol.isNative) {
+
+                        throw new PascalError(node.token, "new() can't be used as a function");
+                    }
                     if (symbol.type.returnType.isVoidType()) {
                         throw new PascalError(node.token, "can't call procedure in expression");
                     }
@@ -1130,6 +3210,31 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
 
                         node.expressionType = node.argumentList[0].expression.expressionType;
                     }
+
+                    // Length() of a constant string is a constant.
+                    if (symbol.name.toLowerCase() === "length" && symbol.isNative &&
+                        node.argumentList.length === 1 && node.argumentList[0].isConstant()) {
+
+                        var length = node.argumentList[0].getConstantValue().length;
+                        node = Node.makeNumberNode(length).withExpressionType(
+                            Node.getLiteralIntegerType(length));
+                    }
+
+                    // Concat() is variadic, so its arguments haven't been checked.
+                    if (symbol.name.toLowerCase() === "concat" && symbol.isNative) {
+                        if (node.argumentList.length === 0) {
+                            throw new PascalError(node.token,
+                                                  "concat() takes at least one argument");
+                        }
+                        for (var i = 0; i < node.argumentList.length; i++) {
+                            var argument = node.argumentList[i];
+                            if (!argument.expressionType.isSimpleType(inst.S) &&
+                                !argument.expressionType.isSimpleType(inst.C)) {
+
+                                throw new PascalError(argument.token, "concat() takes strings");
+                            }
+                        }
+                    }
                 } else {
                     // This is just a symbol. Check to see if it's a constant. If it is,
                     // replace it with the value.
@@ -1147,27 +3252,11 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             this._expectSymbol("(");
             node = this._parseExpression(symbolTable);
             this._expectSymbol(")");
+        } else if (token.isSymbol("[")) {
+            node = this._parseSetConstructor(symbolTable);
         } else if (token.isSymbol("@")) {
-            // This doesn't work. It's not clear what the type of the resulting
-            // expression is. It should be a pointer to a (say) integer, but
-            // a pointer type requires a typeName, which we don't have and might
-            // not have at all. If this variable is declared as being of type
-            // record, then there's no name to use. And even if it uses a formal
-            // type definition, we lose than when we look up the type of the variable.
-            // None of our code uses this expression, so we're not going to support
-            // it.
-            throw new PascalError(token, "the @ operator is not supported");
-
             this._expectSymbol("@");
-            var variable = this._parseVariable(symbolTable);
-            node = new Node(Node.ADDRESS_OF, token, {
-                variable: variable
-            });
-            node.expressionType = new Node(Node.SIMPLE_TYPE, token, {
-                typeCode: inst.A,
-                typeName: "AD-HOC",
-                type: variable.expressionType
-            });
+            node = this._makeAddressOfNode(token, this._parseVariable(symbolTable));
         } else {
             throw new PascalError(token, "expected expression");
         }
@@ -1175,6 +3264,246 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return node;
     };
 
+    // Parse a set constructor, such as "[1, 3..5, ch]". The elements can be any
+    // expressions, as long as they're all of the same ordinal type.
+    Parser.prototype._parseSetConstructor = function (symbolTable) {
+        var token = this._expectSymbol("[");
+        var elements = [];
+
+        // Type of the elements, or null for the empty set.
+        var elementType = null;
+
+        if (this.lexer.peek().isSymbol("]")) {
+            // Empty set.
+            this.lexer.next();
+        } else {
+            do {
+                var element = this._parseExpression(symbolTable);
+                elementType = this._checkSetElement(element, elementType);
+
+                // See if it's a range.
+                var rangeToken = this.lexer.peek();
+                if (rangeToken.isSymbol("..")) {
+                    this._expectSymbol("..");
+                    var high = this._parseExpression(symbolTable);
+                    this._checkSetElement(high, elementType);
+
+                    element = new Node(Node.RANGE, rangeToken, {low: element, high: high});
+                }
+
+                elements.push(element);
+            } while (this._moreToCome(",", "]"));
+            this._expectSymbol("]");
+        }
+
+        return new Node(Node.SET, token, {
+            elements: elements
+        }).withExpressionType(new Node(Node.SET_TYPE, token, {
+            type: elementType,
+            range: null
+        }));
+    };
+
+    // Throws if the set element isn't ordinal or doesn't match the type of the
+    // previous elements (if not null). Returns the type of the elements.
+    Parser.prototype._checkSetElement = function (element, elementType) {
+        var type = element.expressionType;
+
+        if (elementType === null) {
+            if (!type.isOrdinalType()) {
+                throw new PascalError(element.token, "set element must be ordinal, not " +
+                                      type.print());
+            }
+            return type;
+        }
+
+        if (!type.isSameOrdinalType(elementType)) {
+            throw new PascalError(element.token, "set element of type " + type.print() +
+                                  " doesn't match other elements of type " + elementType.print());
+        }
+
+        return elementType;
+    };
+
+    // Parse a call to an intrinsic function, such as "Ord(c)". We've already parsed
+    // the name. Returns the node that replaces the call.
+    Parser.prototype._parseIntrinsicCall = function (symbolTable, token, symbol) {
+        var name = symbol.name.toLowerCase();
+        var node;
+
+        this._expectSymbol("(", "expected argument to " + symbol.name);
+
+        switch (name) {
+            case "ord":
+            case "succ":
+            case "pred":
+                var expression = this._parseExpression(symbolTable);
+                var type = expression.expressionType;
+                if (!type.isOrdinalType()) {
+                    throw new PascalError(expression.token, symbol.name +
+                                          " requires an ordinal argument");
+                }
+
+                if (name === "ord") {
+                    // Integers keep their type.
+                    var ordType = type.isSimpleType(inst.I) ? type : Node.integerType;
+                    if (expression.isConstant()) {
+                        node = Node.makeNumberNode(expression.getOrdinalValue());
+                    } else {
+                        node = new Node(Node.ORD, token, {
+                            expression: expression
+                        });
+                    }
+                    node.expressionType = ordType;
+                } else if (expression.isConstant()) {
+                    var value = expression.getOrdinalValue() + (name === "succ" ? 1 : -1);
+                    if (value < type.getTypeLowBound() || value > type.getTypeHighBound()) {
+                        throw new PascalError(token, "constant out of range for " +
+                                              type.print());
+                    }
+                    node = Node.makeOrdinalNode(value, type);
+                } else {
+                    node = new Node(name === "succ" ? Node.SUCC : Node.PRED, token, {
+                        expression: expression
+                    }).withExpressionTypeFrom(expression);
+                }
+                break;
+
+            case "chr":
+                var expression = this._parseExpression(symbolTable);
+                if (!expression.expressionType.isSimpleType(inst.I)) {
+                    throw new PascalError(expression.token, "Chr requires an integer argument");
+                }
+
+                if (expression.isConstant()) {
+                    var value = expression.getConstantValue();
+                    if (value < 0 || value > 255) {
+                        throw new PascalError(expression.token, "character code out of range");
+                    }
+                    node = Node.makeOrdinalNode(value, Node.charType);
+                } else {
+                    node = new Node(Node.CHR, token, {
+                        expression: expression
+                    }).withExpressionType(Node.charType);
+                }
+                break;
+
+            case "upcase":
+                var expression = this._parseExpression(symbolTable);
+                if (!expression.expressionType.isSimpleType(inst.C)) {
+                    throw new PascalError(expression.token, "UpCase requires a Char argument");
+                }
+
+                if (expression.isConstant()) {
+                    var ch = utils.upCase(expression.getConstantValue());
+                    node = Node.makeOrdinalNode(ch.charCodeAt(0), Node.charType);
+                } else {
+                    node = new Node(Node.UPCASE, token, {
+                        expression: expression
+                    }).withExpressionType(Node.charType);
+                }
+                break;
+
+            case "round":
+            case "trunc":
+                var expression = this._parseExpression(symbolTable);
+                if (!expression.expressionType.isNumericType() ||
+                    expression.expressionType.isSimpleType(inst.C)) {
+
+                    throw new PascalError(expression.token, symbol.name +
+                                          " requires a numeric argument");
+                }
+
+                if (expression.isConstant()) {
+                    var value = expression.getConstantValue();
+                    node = Node.makeNumberNode(name === "round" ? utils.round(value) :
+                                               utils.trunc(value));
+                    node.expressionType = Node.longIntType;
+                } else {
+                    node = new Node(name === "round" ? Node.ROUND : Node.TRUNC, token, {
+                        expression: expression.castToType(Node.realType)
+                    }).withExpressionType(Node.longIntType);
+                }
+                break;
+
+            case "addr":
+                node = this._makeAddressOfNode(token, this._parseVariable(symbolTable));
+                break;
+
+            case "sizeof":
+                // The argument is either a type or a variable. Sizes are in words,
+                // as New() and GetMem() expect.
+                var argumentToken = this.lexer.peek();
+                var type;
+                var argument = null;
+                if (argumentToken.tokenType === Token.IDENTIFIER &&
+                    symbolTable.hasType(argumentToken)) {
+
+                    type = this._parseType(symbolTable);
+                } else {
+                    argument = this._parseExpression(symbolTable);
+                    type = argument.expressionType;
+                }
+
+                if (type.isOpenArrayType()) {
+                    // Only known at run time, from the array's highest index.
+                    var count = new Node(Node.ADDITION, argumentToken, {
+                        lhs: this._makeOpenArrayHighNode(argument),
+                        rhs: Node.makeNumberNode(1).withExpressionType(Node.integerType)
+                    }).withExpressionType(Node.integerType);
+                    var elementSize = type.elementType.getTypeSize();
+                    node = new Node(Node.MULTIPLICATION, argumentToken, {
+                        lhs: count,
+                        rhs: Node.makeNumberNode(elementSize).withExpressionType(
+                            Node.integerType)
+                    }).withExpressionType(Node.integerType);
+                } else {
+                    var size = type.getTypeSize();
+                    node = Node.makeNumberNode(size).withExpressionType(
+                        Node.getLiteralIntegerType(size));
+                }
+                break;
+
+            case "low":
+            case "high":
+                // The argument is either a type or a variable.
+                var argumentToken = this.lexer.peek();
+                var type;
+                var argument = null;
+                if (argumentToken.tokenType === Token.IDENTIFIER &&
+                    symbolTable.hasType(argumentToken)) {
+
+                    type = this._parseType(symbolTable);
+                } else {
+                    argument = this._parseExpression(symbolTable);
+                    type = argument.expressionType;
+                }
+
+                if (type.isOpenArrayType() && name === "high") {
+                    // Only known at run time.
+                    node = this._makeOpenArrayHighNode(argument);
+                } else if (type.nodeType === Node.ARRAY_TYPE) {
+                    // Bounds of the first index.
+                    var range = type.ranges[0];
+                    node = name === "low" ? range.low : range.high;
+                } else if (type.isOrdinalType()) {
+                    var value = name === "low" ? type.getTypeLowBound() : type.getTypeHighBound();
+                    node = Node.makeOrdinalNode(value, type);
+                } else {
+                    throw new PascalError(argumentToken, symbol.name +
+                                          " requires an ordinal or array type");
+                }
+                break;
+
+            default:
+                throw new PascalError(token, "unknown intrinsic function " + symbol.name);
+        }
+
+        this._expectSymbol(")");
+
+        return node;
+    };
+
     // Parse an array dereference, such as "a[2,3+4]".
     Parser.prototype._parseArrayDereference = function (symbolTable, variable) {
         // Make sure the variable is an array.
@@ -1183,10 +3512,31 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         }
 
         var arrayToken = this._expectSymbol("[");
+        var ranges = variable.expressionType.ranges;
         var indices = [];
         do {
-            // Indices must be integers.
-            indices.push(this._parseExpression(symbolTable).castToType(Node.integerType));
+            var index = this._parseExpression(symbolTable);
+            var indexType = index.expressionType;
+
+            // The index must match the type of the range. It's then converted
+            // to its ordinal value to compute the address of the element.
+            var rangeType = indices.length < ranges.length ?
+                ranges[indices.length].low.expressionType : null;
+            if (rangeType !== null && rangeType.nodeType === Node.ENUM_TYPE) {
+                // Already stored as an integer.
+                index = index.castToType(rangeType);
+            } else if (rangeType !== null && indexType.isOrdinalType() &&
+                       !indexType.isSimpleType(inst.I) &&
+                       indexType.getSimpleTypeCode() === rangeType.getSimpleTypeCode()) {
+
+                // Characters and booleans.
+                index = new Node(Node.ORD, index.token, {
+                    expression: index
+                }).withExpressionType(Node.integerType);
+            } else {
+                index = index.castToType(Node.integerType);
+            }
+            indices.push(index);
         } while (this._moreToCome(",", "]"));
         this._expectSymbol("]");
 
@@ -1201,12 +3551,26 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return array;
     };
 
+    // Parse the index of a character in a string, such as "s[i]".
+    Parser.prototype._parseStringIndex = function (symbolTable, variable) {
+        var token = this._expectSymbol("[");
+        var index = this._parseExpression(symbolTable).castToType(Node.integerType);
+        this._expectSymbol("]");
+
+        return new Node(Node.STRING_INDEX, token, {
+            variable: variable,
+            index: index
+        }).withExpressionType(Node.charType);
+    };
+
     // Parse a record designator, such as "a.b".
     Parser.prototype._parseRecordDesignator = function (symbolTable, variable) {
         // Make sure the variable so far is a record.
         var recordType = variable.expressionType;
-        if (recordType.nodeType !== Node.RECORD_TYPE) {
-            throw new PascalError(nextToken, "expected a record type");
+        if (recordType.nodeType !== Node.RECORD_TYPE &&
+            recordType.nodeType !== Node.OBJECT_TYPE) {
+
+            throw new PascalError(variable.token, "expected a record type");
         }
 
         var dotToken = this._expectSymbol(".", "expected a dot");
@@ -1214,6 +3578,13 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         // Parse the field name.
         var fieldToken = this._expectIdentifier("expected a field name");
 
+        // Objects also have methods.
+        var method = recordType.nodeType === Node.OBJECT_TYPE ?
+            recordType.findMethod(fieldToken) : null;
+        if (method !== null) {
+            return this._parseMethodCall(symbolTable, fieldToken, variable, method, false);
+        }
+
         // Get the field for this identifier.
         var field = recordType.getField(fieldToken);
 
@@ -1271,6 +3642,57 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
         return node;
     };
 
+    // Returns a literal with the value of the expression if it's a constant of
+    // a simple type, so that constant expressions are computed at compile time,
+    // as in Turbo Pascal. Integers get the smallest type that fits their value.
+    // Other expressions are returned as they are.
+    Parser.prototype._foldConstant = function (node) {
+        if (!node.isConstant()) {
+            return node;
+        }
+
+        var value = node.getConstantValue();
+        var literal;
+        if (typeof(value) === "boolean") {
+            literal = Node.makeBooleanNode(value).withExpressionType(Node.booleanType);
+        } else if (typeof(value) === "string") {
+            literal = new Node(Node.STRING, new Token(value, Token.STRING))
+                .withExpressionType(value.length === 1 ? Node.charType : Node.stringType);
+        } else if (node.expressionType.isSimpleType(inst.I)) {
+            literal = Node.makeNumberNode(value)
+                .withExpressionType(Node.getLiteralIntegerType(value));
+        } else if (node.expressionType.isSimpleType(inst.R)) {
+            literal = Node.makeNumberNode(value).withExpressionType(Node.realType);
+        } else {
+            // Sets and nil.
+            return node;
+        }
+
+        // Errors about the value point to the expression.
+        literal.token.lineNumber = node.token.lineNumber;
+        literal.token.fileName = node.token.fileName;
+        literal.token.switches = node.token.switches;
+
+        return literal;
+    };
+
+    // Like _createBinaryNode(), for the operators that only work on integers,
+    // such as "div" and "shl". If allowBooleans is true, the operator ("and",
+    // "or", or "xor") is also a logical one on booleans.
+    Parser.prototype._createIntegerNode = function (symbolTable, token, node,
+                                                    nodeType, rhsFn, allowBooleans) {
+
+        node = this._createBinaryNode(symbolTable, token, node, nodeType, rhsFn);
+
+        var type = node.expressionType;
+        if (!type.isSimpleType(inst.I) && (!allowBooleans || !type.isBooleanType())) {
+            throw new PascalError(token, token.value.toLowerCase() + " operands must be " +
+                                  (allowBooleans ? "booleans or integers" : "integers"));
+        }
+
+        return node;
+    };
+
     // Returns a type compatible for both operands. For example, if one is
     // integer and another is real, returns a real, since you can implicitly
     // cast from integer to real. Throws if a compatible type can't
@@ -1284,6 +3706,13 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             throw new PascalError(token, "can't find compatible types for type2=null");
         }
 
+        // Procedural values can be compared with nil.
+        if (type1.nodeType === Node.PROCEDURAL_TYPE && type2.isNilType()) {
+            return type1;
+        } else if (type2.nodeType === Node.PROCEDURAL_TYPE && type1.isNilType()) {
+            return type2;
+        }
+
         // Must be the same type of node. Can't cast between node types
         // (e.g., array to set).
         if (type1.nodeType !== type2.nodeType) {
@@ -1299,8 +3728,16 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             var typeCode1 = type1.typeCode;
             var typeCode2 = type2.typeCode;
 
+            // Characters can be used as strings.
+            if (typeCode1 === inst.S && typeCode2 === inst.C) {
+                return type1;
+            } else if (typeCode1 === inst.C && typeCode2 === inst.S) {
+                return type2;
+            }
+
             if (typeCode1 === inst.A || typeCode2 === inst.A ||
                 typeCode1 === inst.B || typeCode2 === inst.B ||
+                typeCode1 === inst.C || typeCode2 === inst.C ||
                 typeCode1 === inst.S || typeCode2 === inst.S ||
                 typeCode1 === inst.T || typeCode2 === inst.T ||
                 typeCode1 === inst.P || typeCode2 === inst.P ||
@@ -1329,6 +3766,48 @@ define(["Token", "Node", "PascalError", "inst", "SymbolTable", "Symbol", "module
             // I don't know how we got here.
             throw new PascalError(token, "internal compiler error, can't determine " +
                                  "common type of " + typeCode1 + " and " + typeCode2);
+        } else if (type1.isSimpleType(inst.I)) {
+            // Integers of different sizes are widened to a common one.
+            return Node.getCommonIntegerType(type1, type2);
+        } else if (type1.isSimpleType(inst.C)) {
+            // Subranges of characters are compared as characters.
+            return Node.charType;
+        } else if (type1.nodeType === Node.ENUM_TYPE) {
+            // Enumerated types are only compatible with themselves and their
+            // subranges, which are compared as the whole type.
+            if (type1.getHostType() !== type2.getHostType()) {
+                throw new PascalError(token, "no common type between " +
+                                      type1.print() + " and " + type2.print());
+            }
+            return type1.getHostType();
+        } else if (type1.nodeType === Node.SET_TYPE) {
+            // The empty set is compatible with any set.
+            if (type1.type === null) {
+                return type2;
+            }
+            if (type2.type !== null && !type1.type.isSameOrdinalType(type2.type)) {
+                throw new PascalError(token, "no common type between " +
+                                      type1.print() + " and " + type2.print());
+            }
+            return type1;
+        } else if (type1.isSimpleType(inst.A)) {
+            // Untyped pointers (and nil) are compatible with any pointer. Typed
+            // ones are compatible with pointers to the same type, or to objects
+            // descended from one another.
+            if (!type1.typeName) {
+                return type2;
+            }
+            if (!type2.typeName || type1.isSameType(type2)) {
+                return type1;
+            }
+            if (type1.type.nodeType === Node.OBJECT_TYPE &&
+                type2.type.nodeType === Node.OBJECT_TYPE &&
+                (type1.type.isDescendantOf(type2.type) || type2.type.isDescendantOf(type1.type))) {
+
+                return type1;
+            }
+            throw new PascalError(token, "no common type between " +
+                                  type1.print() + " and " + type2.print());
         } else {
             // Return either type.
             return type1;
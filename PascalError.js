@@ -14,7 +14,8 @@ define(function () {
 
         // Add token info.
         if (this.token) {
-            message += " (\"" + this.token.value + "\", line " + this.token.lineNumber + ")";
+            message += " (\"" + this.token.value + "\", line " + this.token.lineNumber +
+                (this.token.fileName ? " of " + this.token.fileName : "") + ")";
         }
 
         return message;
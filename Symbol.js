@@ -13,17 +13,29 @@ define(function () {
      *     if user procedure: address in istore.
      *     if system procedure: index into native array.
      * isNative: true if it's a native subprogram.
+     * isIntrinsic: true if it's a subprogram that the parser compiles inline, such as Ord().
+     * isForward: true if it's a subprogram declared "forward" whose body hasn't been
+     *     parsed yet.
      * value: node of value if it's a constant.
      * byReference: whether this symbol is a reference or a value. This only applies
      *     to function/procedure parameters.
+     * isConst: true if it's a parameter that can't be modified, such as a const
+     *     parameter. For the temporary of a with statement, true if the record is
+     *     such a parameter.
+     * highSymbol: for open array parameters, the hidden parameter that holds the
+     *     highest index of the array.
      */
     var Symbol = function (name, type, address, byReference) {
         this.name = name;
         this.type = type;
         this.address = address;
         this.isNative = false;
+        this.isIntrinsic = false;
+        this.isForward = false;
         this.value = null;
         this.byReference = byReference;
+        this.isConst = false;
+        this.highSymbol = null;
     };
 
     return Symbol;
@@ -36,6 +36,28 @@ define(["PascalError", "Symbol", "Node", "Token", "modules",
 
         // Size (in words) of all typed constants in this frame.
         this.totalTypedConstantsSize = 0;
+
+        // Records of the "with" statements being parsed in this scope, innermost
+        // last. Each is an object with the record type and the temporary symbol
+        // that holds the record's address.
+        this.withRecords = [];
+
+        // Map from label name to a Symbol object for each label declared in this
+        // table. Numbers are stored without leading zeros.
+        this.labels = {};
+
+        // If this is the table of a method's body, the METHOD node and a symbol
+        // that holds the address of Self, through which the object's fields and
+        // methods are used by name. Both are null otherwise.
+        this.method = null;
+        this.selfSymbol = null;
+    };
+
+    // Returns the name that the label token is stored under. Numeric labels
+    // are compared by value and identifiers are case-insensitive.
+    var getLabelName = function (token) {
+        return token.tokenType === Token.NUMBER ?
+            String(parseInt(token.value, 10)) : token.value.toLowerCase();
     };
 
     // Adds a symbol to the table. Returns the Symbol object.
@@ -69,9 +91,181 @@ define(["PascalError", "Symbol", "Node", "Token", "modules",
         var symbol = new Symbol(name, type, address, byReference);
         this.symbols[name.toLowerCase()] = symbol;
 
+        // The address of an open array is followed by its highest index, which
+        // can't be looked up by name.
+        if (nodeType === Node.PARAMETER && type.isOpenArrayType()) {
+            symbol.highSymbol = new Symbol("(high of " + name + ")", Node.integerType,
+                                           address + 1, false);
+            this.totalParameterSize += 1;
+        }
+
         return symbol;
     };
 
+    // Adds an unnamed variable to this frame, for values that the compiler needs
+    // to hold on to, such as the selector of a case statement. Returns the Symbol
+    // object. The symbol can't be looked up by name.
+    SymbolTable.prototype.addTemporary = function (type) {
+        var address = inst.MARK_SIZE + this.totalParameterSize + this.totalVariableSize;
+        this.totalVariableSize += type.getTypeSize();
+
+        return new Symbol("(temporary)", type, address, false);
+    };
+
+    // Makes the fields of the record type visible by name, for the body of a
+    // "with" statement. The symbol is the temporary that holds the record's address.
+    SymbolTable.prototype.pushWithRecord = function (recordType, symbol) {
+        this.withRecords.push({
+            recordType: recordType,
+            symbol: symbol
+        });
+    };
+
+    // Undoes the most recent pushWithRecord().
+    SymbolTable.prototype.popWithRecord = function () {
+        this.withRecords.pop();
+    };
+
+    // Returns the field named by the token in the innermost "with" record that has
+    // one, as an object with the field and the SymbolLookup of the temporary holding
+    // the record's address. Returns null if no "with" record has such a field.
+    SymbolTable.prototype.getWithField = function (token) {
+        var withMember = this._getWithMember(token, function (recordType) {
+            return recordType.findField(token);
+        });
+
+        return withMember === null ? null : {
+            field: withMember.member,
+            symbolLookup: withMember.symbolLookup
+        };
+    };
+
+    // Like getWithField(), but for a method of an object, returned as "method".
+    SymbolTable.prototype.getWithMethod = function (token) {
+        var withMember = this._getWithMember(token, function (recordType) {
+            return recordType.nodeType === Node.OBJECT_TYPE ? recordType.findMethod(token) : null;
+        });
+
+        return withMember === null ? null : {
+            method: withMember.member,
+            symbolLookup: withMember.symbolLookup
+        };
+    };
+
+    // Returns the member of a "with" record or of Self that the "find" function
+    // returns for its type, with the SymbolLookup of the symbol holding the
+    // address, or null if there's no such member. The "with" statements hide
+    // everything else, but Self is hidden by the symbols of its method's body,
+    // such as the function result. Procedures nested in a method also see Self.
+    SymbolTable.prototype._getWithMember = function (token, find) {
+        var name = token.value.toLowerCase();
+        var level = 0;
+
+        for (var table = this; table !== null; table = table.parentSymbolTable) {
+            for (var i = table.withRecords.length - 1; i >= 0; i--) {
+                var withRecord = table.withRecords[i];
+                var member = find(withRecord.recordType);
+                if (member !== null) {
+                    return {
+                        member: member,
+                        symbolLookup: new SymbolLookup(withRecord.symbol, level)
+                    };
+                }
+            }
+
+            if (table.symbols.hasOwnProperty(name)) {
+                return null;
+            }
+
+            if (table.selfSymbol !== null) {
+                var member = find(table.method.objectType);
+                if (member !== null) {
+                    return {
+                        member: member,
+                        symbolLookup: new SymbolLookup(table.selfSymbol, level)
+                    };
+                }
+            }
+
+            level++;
+        }
+
+        return null;
+    };
+
+    // Returns the METHOD node of the innermost method whose body encloses this
+    // table, or null if we're not in a method.
+    SymbolTable.prototype.getMethod = function () {
+        for (var table = this; table !== null; table = table.parentSymbolTable) {
+            if (table.method !== null) {
+                return table.method;
+            }
+        }
+
+        return null;
+    };
+
+    // Declares a label, returning the Symbol object. The symbol also keeps the
+    // LABELED_STATEMENT node that defines the label ("statement", null until it's
+    // parsed) and the GOTO nodes that jump to it ("gotos"). The compiler fills in
+    // the address.
+    SymbolTable.prototype.addLabel = function (token) {
+        var name = getLabelName(token);
+        if (this.labels.hasOwnProperty(name)) {
+            throw new PascalError(token, "label declared more than once");
+        }
+
+        var symbol = new Symbol(name, null, -1, false);
+        symbol.statement = null;
+        symbol.gotos = [];
+        this.labels[name] = symbol;
+
+        return symbol;
+    };
+
+    // Returns whether the token names a label declared in this table or one of
+    // its parents.
+    SymbolTable.prototype.isLabel = function (token) {
+        if (this.labels.hasOwnProperty(getLabelName(token))) {
+            return true;
+        }
+
+        return this.parentSymbolTable !== null && this.parentSymbolTable.isLabel(token);
+    };
+
+    // Returns the SymbolLookup object for the label. If the label is not found
+    // in this table, the parent table is consulted if it's set. Throws if not
+    // found. The "level" parameter is for internal use and should be left out.
+    SymbolTable.prototype.getLabel = function (token, level) {
+        var name = getLabelName(token);
+
+        // Default to zero.
+        level = level || 0;
+
+        if (this.labels.hasOwnProperty(name)) {
+            return new SymbolLookup(this.labels[name], level);
+        }
+
+        if (this.parentSymbolTable !== null) {
+            return this.parentSymbolTable.getLabel(token, level + 1);
+        }
+
+        throw new PascalError(token, "undeclared label");
+    };
+
+    // Returns the symbol of the procedure or function declared "forward" in this
+    // table (not its parents) whose body hasn't been parsed yet, or null if the
+    // token doesn't name one.
+    SymbolTable.prototype.getForwardSymbol = function (token) {
+        var name = token.value.toLowerCase();
+
+        if (this.symbols.hasOwnProperty(name) && this.symbols[name].isForward) {
+            return this.symbols[name];
+        }
+
+        return null;
+    };
+
     // Add a user-defined type, returning the Symbol object.
     SymbolTable.prototype.addType = function (name, type) {
         var symbol = new Symbol(name, type, 0, false);
@@ -106,6 +300,46 @@ define(["PascalError", "Symbol", "Node", "Token", "modules",
         throw new PascalError(token, "can't find symbol");
     };
 
+    // Returns copies of the maps of symbols and types in this table, as an object
+    // with "symbols" and "types" fields. See getExports().
+    SymbolTable.prototype.getDeclarations = function () {
+        return {
+            symbols: _.clone(this.symbols),
+            types: _.clone(this.types)
+        };
+    };
+
+    // Returns the symbols and types declared in this table since "earlier" was
+    // returned by getDeclarations(), in the same form. For the interface of a unit.
+    SymbolTable.prototype.getExports = function (earlier) {
+        return {
+            symbols: _.omit(this.symbols, _.keys(earlier.symbols)),
+            types: _.omit(this.types, _.keys(earlier.types))
+        };
+    };
+
+    // Makes the symbols and types of the interface of the unit visible in this
+    // table. The unit's variables are in the same frame as ours, so the symbols
+    // can be shared.
+    SymbolTable.prototype.importUnit = function (unit) {
+        _.extend(this.symbols, unit.exports.symbols);
+        _.extend(this.types, unit.exports.types);
+    };
+
+    // Returns the number of levels between this table and the main program's
+    // table, whose parent is the table of builtins.
+    SymbolTable.prototype.getGlobalLevel = function () {
+        var level = 0;
+
+        for (var table = this; table.parentSymbolTable.parentSymbolTable !== null;
+             table = table.parentSymbolTable) {
+
+            level++;
+        }
+
+        return level;
+    };
+
     // Returns a SymbolLookup object for the type name. If the name is not
     // found in this table, the parent table is consulted if it's set. Throws
     // if not found. The "level" parameter is for internal use and should be left out.
@@ -127,6 +361,17 @@ define(["PascalError", "Symbol", "Node", "Token", "modules",
         throw new PascalError(token, "unknown type");
     };
 
+    // Returns whether the name is a type in this table or one of its parents.
+    SymbolTable.prototype.hasType = function (token) {
+        var name = token.value.toLowerCase();
+
+        if (this.types.hasOwnProperty(name)) {
+            return true;
+        }
+
+        return this.parentSymbolTable !== null && this.parentSymbolTable.hasType(token);
+    };
+
     // Add a native constant to the symbol table.
     SymbolTable.prototype.addNativeConstant = function (name, value, type) {
         var valueNode;
@@ -180,6 +425,21 @@ define(["PascalError", "Symbol", "Node", "Token", "modules",
         return symbol;
     };
 
+    // Add an intrinsic function to the symbol table. These are parsed and compiled
+    // inline (see Parser._parseIntrinsicCall), usually because their types depend
+    // on their arguments, so the symbol has no parameters or return type of its own.
+    SymbolTable.prototype.addIntrinsicFunction = function (name) {
+        var type = new Node(Node.SUBPROGRAM_TYPE, null, {
+            parameters: [],
+            returnType: Node.voidType
+        });
+
+        var symbol = this.addSymbol(name, Node.SUBPROGRAM_TYPE, type);
+        symbol.isIntrinsic = true;
+
+        return symbol;
+    };
+
     // Add a native type (such as "integer") to the symbol table.
     SymbolTable.prototype.addNativeType = function (name, type) {
         // Nothing special here, it's just like a user-defined type.
@@ -5,6 +5,13 @@ define(function () {
         this.value = value;
         this.tokenType = tokenType;
         this.lineNumber = -1;
+
+        // Name of the file the token came from, or null if it's not known.
+        this.fileName = null;
+
+        // Compiler switches in effect at the token, such as "{$R+}", by lowercase
+        // letter, or null if not known. See DirectiveProcessor.
+        this.switches = null;
     };
 
     // Token types.
@@ -13,14 +13,166 @@ define(["Node", "Token", "inst"], function (Node, Token, inst) {
         }
     };
 
+    // Formats a real the way Turbo Pascal does by default, such as " 3.1415926536E+00".
+    // If given, the field width determines the number of digits.
+    var formatScientific = function (value, width) {
+        // Everything but the digits after the decimal point takes 7 characters.
+        var digits = width === 0 ? 10 : Math.min(Math.max(width - 7, 1), 10);
+
+        // JavaScript gives us something like "3.1415926536e+0".
+        var parts = Math.abs(value).toExponential(digits).split("e");
+        var exponent = parseInt(parts[1], 10);
+
+        return (value < 0 ? "-" : " ") + parts[0] + "E" + (exponent < 0 ? "-" : "+") +
+            (Math.abs(exponent) < 10 ? "0" : "") + Math.abs(exponent);
+    };
+
+    // Formats a value for Write() and WriteLn(), right-justified in a field of
+    // "width" characters. The decimals are the number of digits after the decimal
+    // point of a real, or -1 for scientific notation.
+    var formatValue = function (value, typeCode, width, decimals) {
+        var s;
+
+        switch (typeCode) {
+            case inst.B:
+                s = value ? "TRUE" : "FALSE";
+                break;
+            case inst.R:
+                s = decimals >= 0 ? value.toFixed(decimals) : formatScientific(value, width);
+                break;
+            default:
+                s = "" + value;
+                break;
+        }
+
+        while (s.length < width) {
+            s = " " + s;
+        }
+
+        return s;
+    };
+
+    // Returns the text for the arguments of Write() and WriteLn(). After the ctl
+    // parameter, each argument comes as four values (see Parser._parseWriteArguments).
+    var formatWriteArguments = function (args) {
+        var s = "";
+
+        for (var i = 1; i < args.length; i += 4) {
+            s += formatValue(args[i], args[i + 1], args[i + 2], args[i + 3]);
+        }
+
+        return s;
+    };
+
+    // Parses an integer or real typed by the user. Returns undefined if the text
+    // isn't a valid number. Integers can be given in hex, such as "$FF".
+    var parseNumber = function (text, typeCode) {
+        if (/^[+-]?\$[0-9a-f]+$/i.test(text)) {
+            var value = parseInt(text.replace("$", ""), 16);
+            return text.charAt(0) === "-" ? -value : value;
+        } else if (typeCode === inst.R && /^[+-]?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(text)) {
+            return parseFloat(text);
+        } else if (/^[+-]?\d+$/.test(text)) {
+            return parseInt(text, 10);
+        } else {
+            return undefined;
+        }
+    };
+
+    // Reads a value of the type from the start of the input, the way Turbo Pascal
+    // reads text files. Returns null if the value can't be read until another line
+    // is entered. Otherwise returns an object with the value (undefined if it's not
+    // a valid number) and the rest of the input.
+    var readValue = function (input, typeCode) {
+        var end;
+
+        if (input === "") {
+            return null;
+        }
+
+        switch (typeCode) {
+            case inst.C:
+                // The end of a line is read as "\r" and "\n".
+                return {value: input.charAt(0), rest: input.substr(1)};
+            case inst.S:
+                // Read up to the end of the line, but leave it in the input.
+                end = input.indexOf("\r");
+                return {value: input.substr(0, end), rest: input.substr(end)};
+            default:
+                // Skip blanks and line ends, then read up to the next one.
+                input = input.replace(/^\s+/, "");
+                if (input === "") {
+                    return null;
+                }
+                end = input.search(/\s/);
+                return {value: parseNumber(input.substr(0, end), typeCode),
+                        rest: input.substr(end)};
+        }
+    };
+
+    // Reads the arguments of Read() and ReadLn(). After the ctl parameter, each
+    // argument comes as an address and a type code (see Parser._parseReadArguments).
+    // If "skipLine" is true, the rest of the line is then discarded. The machine is
+    // suspended whenever we need another line from the user.
+    var readArguments = function (ctl, args, skipLine) {
+        var i = 1;
+
+        // Read as much as we can from the input we have. Returns whether we need
+        // another line.
+        var readBuffered = function () {
+            for (; i < args.length; i += 2) {
+                var result = readValue(ctl.getInputBuffer(), args[i + 1]);
+                if (result === null) {
+                    return true;
+                }
+                if (result.value === undefined) {
+                    ctl.runtimeError(106, "Invalid numeric format");
+                    return false;
+                }
+                ctl.writeDstore(args[i], result.value);
+                ctl.setInputBuffer(result.rest);
+            }
+
+            if (skipLine) {
+                var input = ctl.getInputBuffer();
+                if (input === "") {
+                    return true;
+                }
+                ctl.setInputBuffer(input.substr(input.indexOf("\n") + 1));
+                skipLine = false;
+            }
+
+            return false;
+        };
+
+        // Suspend the machine until the IDE has read a line for us.
+        var waitForLine = function () {
+            ctl.suspend();
+            ctl.readln(function (line) {
+                ctl.setInputBuffer(line + "\r\n");
+                if (readBuffered()) {
+                    waitForLine();
+                } else {
+                    ctl.resume();
+                }
+            });
+        };
+
+        if (readBuffered()) {
+            waitForLine();
+        }
+    };
+
     return {
         // Import all the symbols for the builtins.
         importSymbols: function (symbolTable) {
             // Built-in types.
             symbolTable.addNativeType("String", Node.stringType);
+            symbolTable.addNativeType("ShortInt", Node.shortIntType);
+            symbolTable.addNativeType("Byte", Node.byteType);
             symbolTable.addNativeType("Integer", Node.integerType);
-            symbolTable.addNativeType("ShortInt", Node.integerType);
-            symbolTable.addNativeType("LongInt", Node.integerType);
+            symbolTable.addNativeType("Word", Node.wordType);
+            symbolTable.addNativeType("LongInt", Node.longIntType);
             symbolTable.addNativeType("Char", Node.charType);
             symbolTable.addNativeType("Boolean", Node.booleanType);
             symbolTable.addNativeType("Real", Node.realType);
@@ -37,14 +189,12 @@ define(["Node", "Token", "inst"], function (Node, Token, inst) {
             symbolTable.addNativeConstant("True", true, Node.booleanType);
             symbolTable.addNativeConstant("False", false, Node.booleanType);
             symbolTable.addNativeConstant("Pi", Math.PI, Node.realType);
+            symbolTable.addNativeConstant("MaxInt", Node.integerType.high, Node.integerType);
+            symbolTable.addNativeConstant("MaxLongInt", Node.longIntType.high, Node.longIntType);
             symbolTable.addNativeFunction("Sin", Node.realType, [Node.realType],
                         function (ctl, t) { return Math.sin(t); });
             symbolTable.addNativeFunction("Cos", Node.realType, [Node.realType],
                         function (ctl, t) { return Math.cos(t); });
-            symbolTable.addNativeFunction("Round", Node.integerType, [Node.realType],
-                        function (ctl, t) { return Math.round(t); });
-            symbolTable.addNativeFunction("Trunc", Node.integerType, [Node.realType],
-                        function (ctl, t) { return (t < 0) ? Math.ceil(t) : Math.floor(t); });
             symbolTable.addNativeFunction("Odd", Node.booleanType, [Node.integerType],
                         function (ctl, t) { return Math.round(t) % 2 !== 0; });
             symbolTable.addNativeFunction("Abs", Node.realType, [Node.realType],
@@ -55,11 +205,71 @@ define(["Node", "Token", "inst"], function (Node, Token, inst) {
                         function (ctl, t) { return Math.log(t); });
             symbolTable.addNativeFunction("Sqr", Node.realType, [Node.realType],
                         function (ctl, t) { return t*t; });
+            symbolTable.addNativeFunction("Length", Node.integerType, [Node.stringType],
+                        function (ctl, s) { return s.length; });
+            symbolTable.addNativeFunction("Copy", Node.stringType,
+                [Node.stringType, Node.integerType, Node.integerType],
+                function (ctl, s, index, count) {
+
+                // Empty if the index is past the end of the string.
+                index = Math.max(index, 1);
+                return count > 0 ? s.substr(index - 1, count) : "";
+            });
+            symbolTable.addNativeFunction("Pos", Node.integerType,
+                [Node.stringType, Node.stringType], function (ctl, substr, s) {
+
+                // Zero if not found. The empty string is never found.
+                return substr === "" ? 0 : s.indexOf(substr) + 1;
+            });
+            symbolTable.addNativeFunction("Concat", Node.stringType, [], function (ctl) {
+                // Skip ctl parameter.
+                var s = "";
+                for (var i = 1; i < arguments.length; i++) {
+                    s += arguments[i];
+                }
+                return s;
+            });
+            var symbol = symbolTable.addNativeFunction("Insert", Node.voidType,
+                [Node.stringType, Node.stringType, Node.integerType],
+                function (ctl, source, p, index) {
+
+                // Append if the index is past the end of the string.
+                var s = ctl.readDstore(p);
+                index = Math.min(Math.max(index, 1), s.length + 1);
+                ctl.writeDstore(p, s.substr(0, index - 1) + source + s.substr(index - 1));
+            });
+            symbol.type.parameters[1].byReference = true;
+            symbol = symbolTable.addNativeFunction("Delete", Node.voidType,
+                [Node.stringType, Node.integerType, Node.integerType],
+                function (ctl, p, index, count) {
+
+                // Nothing to do if the index is outside the string.
+                var s = ctl.readDstore(p);
+                if (index >= 1 && index <= s.length && count > 0) {
+                    ctl.writeDstore(p, s.substr(0, index - 1) + s.substr(index - 1 + count));
+                }
+            });
+            symbol.type.parameters[0].byReference = true;
+            symbolTable.addIntrinsicFunction("Ord");
+            symbolTable.addIntrinsicFunction("Succ");
+            symbolTable.addIntrinsicFunction("Pred");
+            symbolTable.addIntrinsicFunction("Low");
+            symbolTable.addIntrinsicFunction("High");
+            symbolTable.addIntrinsicFunction("Chr");
+            symbolTable.addIntrinsicFunction("UpCase");
+            symbolTable.addIntrinsicFunction("Round");
+            symbolTable.addIntrinsicFunction("Trunc");
+            symbolTable.addIntrinsicFunction("Addr");
+            symbolTable.addIntrinsicFunction("SizeOf");
+            // Procedures, but not reserved words, so that programs can declare their own.
+            symbolTable.addIntrinsicFunction("Break");
+            symbolTable.addIntrinsicFunction("Continue");
             symbolTable.addNativeFunction("Random", Node.realType, [], builtinRandom);
             symbolTable.addNativeFunction("Randomize", Node.voidType, [],
                         function (ctl) { /* Nothing. */ });
-            var symbol = symbolTable.addNativeFunction("Inc", Node.voidType,
-                [Node.integerType, Node.integerType], function (ctl, v, dv) {
+            // The variable can be of any integer type, so it's untyped.
+            symbol = symbolTable.addNativeFunction("Inc", Node.voidType,
+                [Node.voidType, Node.longIntType], function (ctl, v, dv) {
 
                 if (dv === undefined) {
                     dv = 1;
@@ -67,27 +277,17 @@ define(["Node", "Token", "inst"], function (Node, Token, inst) {
                 ctl.writeDstore(v, ctl.readDstore(v) + dv);
             });
             symbol.type.parameters[0].byReference = true;
+            symbolTable.addNativeFunction("Write", Node.voidType, [], function (ctl) {
+                ctl.write(formatWriteArguments(arguments));
+            });
             symbolTable.addNativeFunction("WriteLn", Node.voidType, [], function (ctl) {
-                // Skip ctl parameter.
-                var elements = [];
-                for (var i = 1; i < arguments.length; i++) {
-                    // Convert to string.
-                    elements.push("" + arguments[i]);
-                }
-                ctl.writeln(elements.join(" "));
+                ctl.writeln(formatWriteArguments(arguments));
             });
-            symbolTable.addNativeFunction("ReadLn", Node.stringType, [], function (ctl) {
-                // Suspend the machine so that the browser can get keys to us.
-                ctl.suspend();
-
-                // Ask the IDE to read a line for us.
-                ctl.readln(function (line) {
-                    ctl.push(line);
-                    ctl.resume();
-                });
-
-                // We're a function, so we should return something, but we've
-                // suspended the machine, so it doesn't matter.
+            symbolTable.addNativeFunction("Read", Node.voidType, [], function (ctl) {
+                readArguments(ctl, arguments, false);
+            });
+            symbolTable.addNativeFunction("ReadLn", Node.voidType, [], function (ctl) {
+                readArguments(ctl, arguments, true);
             });
             symbolTable.addNativeFunction("Halt", Node.voidType, [], function (ctl) {
                 // Halt VM.
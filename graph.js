@@ -100,7 +100,8 @@ define(["Node"], function (Node) {
                     type: Node.integerType,
                     offset: 1
                 })
-            ]
+            ],
+            variantPart: null
         });
         symbolTable.addType("PointType", node);
 
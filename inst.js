@@ -51,17 +51,17 @@ define(["PascalError"], function (PascalError) {
         ABR: 0x1A,      //      Real absolute value
         SQR: 0x1B,      //      Real square
         // Boolean.
-        IOR: 0x1C,      //      Inclusive OR.
-        AND: 0x1D,      //      AND
-        XOR: 0x1E,      //      Exclusive OR.
-        NOT: 0x1F,      //      NOT.
+        IOR: 0x1C,      //      Inclusive OR.                type
+        AND: 0x1D,      //      AND                          type
+        XOR: 0x1E,      //      Exclusive OR.                type
+        NOT: 0x1F,      //      NOT.                         type
         // Set operations.
         INN: 0x20,      //      Set membership.
         UNI: 0x21,      //      Set union.
         INT: 0x22,      //      Set intersection.
         DIF: 0x23,      //      Set difference.
         CMP: 0x24,      //      Set complement.
-        SGS: 0x25,      //      Generate singleton set.
+        SGS: 0x25,      //      Generate singleton set.      0 (or 1 for range)
         // Jump.
         UJP: 0x26,      //      Unconditional jump.                          iaddr
         XJP: 0x27,      //      Indexed jump.                                iaddr
@@ -71,9 +71,9 @@ define(["PascalError"], function (PascalError) {
         FLT: 0x2A,      //      Integer to real.
         FLO: 0x2B,      //      Integer to real (2nd entry on stack).
         TRC: 0x2C,      //      Truncate.
-        RND: 0x2C,      //      Round.
-        CHR: 0x2C,      //      Integer to char.
-        ORD: 0x2C,      //      Anything to integer.
+        ORD: 0x2D,      //      Anything to integer.
+        RND: 0x2E,      //      Round.
+        CHR: 0x2F,      //      Integer to char.
         // Termination.
         STP: 0x30,      //      Stop.
         // Data reference.
@@ -88,6 +88,21 @@ define(["PascalError"], function (PascalError) {
         LVS: 0x39,      //      Load value (set)             level           offset
         STI: 0x3A,      //      Store indirect               type
         IXA: 0x3B,      //      Compute indexed address                      stride
+        // Strings. These aren't in the p-code, which has no string type.
+        LCS: 0x3C,      //      Load character of string
+        SCS: 0x3D,      //      Store character into string
+        // Procedural values. These aren't in the p-code either.
+        CUI: 0x3E,      //      Call user procedure indirect argsize
+        LPA: 0x3F,      //      Load procedure address                       iaddr
+        // Bit shifts.
+        SHL: 0x40,      //      Integer shift left
+        SHR: 0x41,      //      Integer shift right          bits
+        WRP: 0x42,      //      Wrap integer to range        bits            signed
+        CHK: 0x43,      //      Check integer range          error code      cindex
+        UPC: 0x44,      //      Char to upper case
+        // Open arrays.
+        CHB: 0x45,      //      Check integer against bound  error code
+        CPA: 0x46,      //      Copy open array onto stack                   element size
 
         // Registers.
         REG_SP: 0x00,   //      Stack pointer.
@@ -186,6 +201,8 @@ define(["PascalError"], function (PascalError) {
                     return "real";
                 case this.S:
                     return "string";
+                case this.T:
+                    return "set";
                 default:
                     throw new PascalError(null, "unknown type code " + typeCode);
             }
@@ -253,6 +270,17 @@ define(["PascalError"], function (PascalError) {
     defs.opcodeToName[defs.LVS] = "LVS";
     defs.opcodeToName[defs.STI] = "STI";
     defs.opcodeToName[defs.IXA] = "IXA";
+    defs.opcodeToName[defs.LCS] = "LCS";
+    defs.opcodeToName[defs.SCS] = "SCS";
+    defs.opcodeToName[defs.CUI] = "CUI";
+    defs.opcodeToName[defs.LPA] = "LPA";
+    defs.opcodeToName[defs.SHL] = "SHL";
+    defs.opcodeToName[defs.SHR] = "SHR";
+    defs.opcodeToName[defs.WRP] = "WRP";
+    defs.opcodeToName[defs.CHK] = "CHK";
+    defs.opcodeToName[defs.UPC] = "UPC";
+    defs.opcodeToName[defs.CHB] = "CHB";
+    defs.opcodeToName[defs.CPA] = "CPA";
 
     return defs;
 });
@@ -28,7 +28,15 @@ define(["builtin", "crt", "graph", "mouse", "PascalError"],
         }
     };
 
+    // Returns whether the name is one of the modules above rather than a unit
+    // written by the user.
+    var isModule = function (name) {
+        return ["__builtin__", "crt", "dos", "graph", "mouse", "printer"].
+            indexOf(name.toLowerCase()) !== -1;
+    };
+
     return {
-        importModule: importModule
+        importModule: importModule,
+        isModule: isModule
     };
 });
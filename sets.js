@@ -0,0 +1,117 @@
+// Operations on set values. A set takes a single word in the dstore, like a
+// string, and is represented as an array of 32-bit integers with one bit for
+// each of the 256 possible elements. Sets are never modified once they're
+// made, so they can be shared between variables and constants.
+
+'use strict';
+
+define(["PascalError"], function (PascalError) {
+    // Number of 32-bit integers in a set.
+    var WORD_COUNT = 8;
+
+    // Largest element that can be stored in a set.
+    var MAX_ELEMENT = WORD_COUNT*32 - 1;
+
+    // Returns a set with no elements.
+    var makeEmpty = function () {
+        var set = [];
+
+        for (var i = 0; i < WORD_COUNT; i++) {
+            set.push(0);
+        }
+
+        return set;
+    };
+
+    // Returns the word of the set at the index. Variables are cleared to 0 when
+    // their frame is entered, so we treat 0 as the empty set.
+    var getWord = function (set, index) {
+        return set === 0 ? 0 : set[index];
+    };
+
+    // Returns a new set whose words are the result of calling "op" on the words
+    // of "a" and "b".
+    var combine = function (a, b, op) {
+        var set = [];
+
+        for (var i = 0; i < WORD_COUNT; i++) {
+            set.push(op(getWord(a, i), getWord(b, i)));
+        }
+
+        return set;
+    };
+
+    return {
+        MAX_ELEMENT: MAX_ELEMENT,
+
+        makeEmpty: makeEmpty,
+
+        // Returns a set containing all elements from low to high inclusive.
+        // The set is empty if low is greater than high.
+        makeRange: function (low, high) {
+            if (low <= high && (low < 0 || high > MAX_ELEMENT)) {
+                throw new PascalError(null, "set element out of range (" +
+                                      low + ".." + high + ")");
+            }
+
+            var set = makeEmpty();
+
+            for (var element = low; element <= high; element++) {
+                set[element >> 5] |= 1 << (element & 31);
+            }
+
+            return set;
+        },
+
+        // Returns whether the element is in the set.
+        contains: function (set, element) {
+            if (element < 0 || element > MAX_ELEMENT) {
+                return false;
+            }
+
+            return (getWord(set, element >> 5) & (1 << (element & 31))) !== 0;
+        },
+
+        // Returns the elements that are in either set.
+        union: function (a, b) {
+            return combine(a, b, function (x, y) { return x | y; });
+        },
+
+        // Returns the elements that are in both sets.
+        intersection: function (a, b) {
+            return combine(a, b, function (x, y) { return x & y; });
+        },
+
+        // Returns the elements of "a" that are not in "b".
+        difference: function (a, b) {
+            return combine(a, b, function (x, y) { return x & ~y; });
+        },
+
+        // Returns the elements that are not in the set.
+        complement: function (set) {
+            return combine(set, set, function (x) { return ~x; });
+        },
+
+        // Returns whether the sets have the same elements.
+        equals: function (a, b) {
+            for (var i = 0; i < WORD_COUNT; i++) {
+                if (getWord(a, i) !== getWord(b, i)) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        // Returns whether every element of "a" is in "b".
+        isSubset: function (a, b) {
+            for (var i = 0; i < WORD_COUNT; i++) {
+                if ((getWord(a, i) & ~getWord(b, i)) !== 0) {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+    };
+});
@@ -10,9 +10,9 @@ require.config({
     }
 });
 
-require(["jquery", "Stream", "Token", "Lexer", "CommentStripper", "Parser",
+require(["jquery", "Stream", "Token", "Lexer", "DirectiveProcessor", "Parser",
         "PascalError", "Compiler", "Machine", "SymbolTable"],
-        function ($, Stream, Token, Lexer, CommentStripper,
+        function ($, Stream, Token, Lexer, DirectiveProcessor,
                   Parser, PascalError, Compiler, Machine, SymbolTable) {
 
     var $results = $("#results tbody");
@@ -25,15 +25,49 @@ require(["jquery", "Stream", "Token", "Lexer", "CommentStripper", "Parser",
                         append($("<td>").text(reason)));
     };
 
+    // Units that tests can use, by lowercase name.
+    var unitSources = {};
+    $('script[type="text/pascal-unit"]').each(function () {
+        var $unit = $(this);
+        unitSources[$unit.attr("id").toLowerCase()] = $unit.text();
+    });
+
+    // Files that tests can include, by lowercase file name.
+    var includeSources = {};
+    $('script[type="text/pascal-include"]').each(function () {
+        var $include = $(this);
+        includeSources[$include.attr("id").toLowerCase()] = $include.text();
+    });
+
+    // Returns a directive processor for the lexer's tokens.
+    var makeDirectiveProcessor = function (lexer) {
+        var directiveProcessor = new DirectiveProcessor(lexer);
+        directiveProcessor.setIncludeCallback(function (file) {
+            var source = includeSources[file.toLowerCase()];
+            return source === undefined ? null : new Lexer(new Stream(source), file);
+        });
+
+        return directiveProcessor;
+    };
+
     $('script[type="text/pascal"]').each(function () {
         var $test = $(this);
         var name = $test.attr("id");
         var source = $test.text();
         var stream = new Stream(source);
-        var lexer = new CommentStripper(new Lexer(stream));
+        var lexer = makeDirectiveProcessor(new Lexer(stream));
         var parser = new Parser(lexer);
         var output = "";
 
+        // Tests of programs that must not compile give the expected error message.
+        var expectedError = $test.data("error");
+
+        parser.setUnitCallback(function (name) {
+            var source = unitSources[name.toLowerCase()];
+            return source === undefined ? null :
+                makeDirectiveProcessor(new Lexer(new Stream(source), name.toUpperCase() + ".PAS"));
+        });
+
         try {
             // Create the symbol table of built-in constants, functions, and procedures.
             var builtinSymbolTable = SymbolTable.makeBuiltinSymbolTable();
@@ -45,6 +79,11 @@ require(["jquery", "Stream", "Token", "Lexer", "CommentStripper", "Parser",
             var compiler = new Compiler();
             var bytecode = compiler.compile(root);
 
+            if (expectedError !== undefined) {
+                generateResult(name, false, "expected error \"" + expectedError + "\"");
+                return;
+            }
+
             // Execute the bytecode.
             var machine = new Machine(bytecode);
             machine.setFinishCallback(function (runningTime) {
@@ -57,11 +96,30 @@ require(["jquery", "Stream", "Token", "Lexer", "CommentStripper", "Parser",
                                    expected + "\" but got \"" + output + "\"");
                 }
             });
-            machine.setOutputCallback(function (line) {
-                output += line + " ";
+            machine.setOutputCallback(function (text) {
+                // Put lines on one line, separated by spaces.
+                output += text.replace(/\n/g, " ");
             });
+            var input = $test.data("input");
+            if (input !== undefined) {
+                // Lines of input are separated by "|".
+                var lines = ("" + input).split("|");
+                machine.setInputCallback(function (callback) {
+                    callback(lines.length > 0 ? lines.shift() : "no input");
+                });
+            }
             machine.run();
         } catch (e) {
+            if (e instanceof PascalError && expectedError !== undefined) {
+                if (e.message === expectedError) {
+                    generateResult(name, true, "");
+                } else {
+                    generateResult(name, false, "expected error \"" + expectedError +
+                                   "\" but got \"" + e.message + "\"");
+                }
+                return;
+            }
+
             // Print parsing errors.
             var message;
             if (e instanceof PascalError) {
@@ -61,6 +61,20 @@ define({
         }
     },
 
+    // Round to the nearest integer, with halves rounded away from zero.
+    round: function (value) {
+        if (value < 0) {
+            return -Math.round(-value);
+        } else {
+            return Math.round(value);
+        }
+    },
+
+    // Convert a lowercase letter to uppercase. Other characters are unchanged.
+    upCase: function (ch) {
+        return ch >= 'a' && ch <= 'z' ? ch.toUpperCase() : ch;
+    },
+
     // Repeat a string "count" times.
     repeatString: function (s, count) {
         var result = "";